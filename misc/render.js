@@ -0,0 +1,133 @@
+// This script renders NoiseCraft projects to WAV files without a browser
+//
+// Usage:
+// node misc/render.js song.ncft -o out.wav --seconds 30
+// node misc/render.js examples/*.ncft -o out_dir --bars 8
+//
+// Options:
+// -o <path>        output file, or output directory if rendering multiple projects
+// --seconds <n>    length of the audio to render, in seconds (default: 10)
+// --bars <n>       length of the audio to render, in bars at the Clock tempo
+// --song           render the whole song arrangement of the project
+// --format <f>     sample format: int16, int24 or float32 (default: int16)
+// --rate <n>       sample rate: 44100, 48000, 88200 or 96000 (default: 44100)
+
+import fs from 'fs';
+import path from 'path';
+import * as model from '../public/model.js';
+import * as render from '../public/render.js';
+
+function usage(message)
+{
+    if (message)
+        console.error(message);
+
+    console.error('usage: node misc/render.js <project.ncft>... [-o <path>] [--seconds <n> | --bars <n> | --song] [--format <f>] [--rate <n>]');
+    process.exit(1);
+}
+
+// Parse the command-line arguments
+let inPaths = [];
+let outPath = null;
+let seconds = null;
+let bars = null;
+let song = false;
+let format = 'int16';
+let sampleRate = 44100;
+
+let args = process.argv.slice(2);
+for (let i = 0; i < args.length; ++i)
+{
+    let arg = args[i];
+
+    switch (arg)
+    {
+        case '-o':
+        outPath = args[++i];
+        break;
+
+        case '--seconds':
+        seconds = Number(args[++i]);
+        break;
+
+        case '--bars':
+        bars = Number(args[++i]);
+        break;
+
+        case '--song':
+        song = true;
+        break;
+
+        case '--format':
+        format = args[++i];
+        break;
+
+        case '--rate':
+        sampleRate = Number(args[++i]);
+        break;
+
+        default:
+        if (arg.startsWith('-'))
+            usage(`unknown option ${arg}`);
+        inPaths.push(arg);
+    }
+}
+
+if (inPaths.length == 0)
+    usage('no input project specified');
+if ((seconds !== null) + (bars !== null) + song > 1)
+    usage('--seconds, --bars and --song are mutually exclusive');
+if (seconds !== null && !(seconds > 0))
+    usage('invalid number of seconds');
+if (bars !== null && !(bars > 0))
+    usage('invalid number of bars');
+if (!(format in render.WAV_FORMATS))
+    usage(`invalid sample format ${format}`);
+if (!render.SAMPLE_RATES.includes(sampleRate))
+    usage(`unsupported sample rate ${sampleRate}`);
+
+// With multiple inputs, the output path is a directory
+let outDir = null;
+if (inPaths.length > 1 || (outPath && fs.existsSync(outPath) && fs.statSync(outPath).isDirectory()))
+{
+    outDir = outPath || '.';
+    fs.mkdirSync(outDir, { recursive: true });
+}
+
+for (let inPath of inPaths)
+{
+    console.log(inPath);
+
+    // Load, normalize and validate the project
+    let m = new model.Model();
+    m.deserialize(fs.readFileSync(inPath, 'utf8'));
+
+    let numSeconds = (seconds !== null)? seconds:10;
+    let numBars = bars;
+
+    if (song)
+    {
+        let arrangement = m.state.arrangement;
+        if (!arrangement || !arrangement.enabled)
+            usage(`${inPath} has no song arrangement enabled`);
+        numBars = arrangement.numBars;
+    }
+
+    if (numBars !== null)
+    {
+        let tempo = render.getTempo(m.state);
+        if (tempo === null)
+            usage(`${inPath} has no Clock node, can't render a number of bars`);
+        numSeconds = render.barsToSeconds(numBars, tempo);
+    }
+
+    let numSamples = Math.ceil(numSeconds * sampleRate);
+    let { left, right } = render.renderProject(m.state, numSamples, sampleRate);
+    let wavData = render.encodeWAV(left, right, sampleRate, format);
+
+    let fileName = path.basename(inPath, path.extname(inPath)) + '.wav';
+    let filePath = outDir? path.join(outDir, fileName):(outPath || fileName);
+    fs.writeFileSync(filePath, new Uint8Array(wavData));
+
+    console.log(`wrote ${filePath} (${numSeconds.toFixed(2)}s)`);
+}
@@ -14,6 +14,7 @@ function convertProject(project, title)
     assert (project instanceof Object);
 
     project.title = title;
+    project.seed = 0;
 
     for (let nodeId in project.nodes)
     {
@@ -0,0 +1,155 @@
+import * as model from './model.js';
+
+/**
+ * Model view showing the song arrangement, a timeline with a lane for
+ * each sequencer, where each bar can switch the sequencer to a pattern
+ */
+export class ArrangementView
+{
+    constructor(model)
+    {
+        this.model = model;
+        model.addView(this);
+
+        // Panel containing the timeline
+        this.panelDiv = document.getElementById('song_panel');
+
+        // The panel is hidden until the song button is clicked
+        this.visible = false;
+    }
+
+    /**
+     * Show or hide the song arrangement panel
+     */
+    toggle()
+    {
+        this.visible = !this.visible;
+        this.panelDiv.style.display = this.visible? 'block':'none';
+
+        if (this.visible)
+            this.render(this.model.state);
+    }
+
+    /** Update the song arrangement view */
+    update(state, action)
+    {
+        // Only edits to the project, which can be undone,
+        // can change the arrangement or the list of sequencers
+        if (action && !action.undoable)
+            return;
+
+        if (this.visible)
+            this.render(state);
+    }
+
+    /**
+     * Regenerate the contents of the panel
+     */
+    render(state)
+    {
+        let arrangement = state.arrangement || {
+            enabled: false,
+            numBars: model.DEFAULT_NUM_BARS,
+            lanes: {}
+        };
+
+        this.panelDiv.innerHTML = '';
+
+        // Song mode toggle and song length selection
+        let headerDiv = document.createElement('div');
+        headerDiv.className = 'song_header';
+        this.panelDiv.appendChild(headerDiv);
+
+        let enabledElem = document.createElement('input');
+        enabledElem.type = 'checkbox';
+        enabledElem.checked = arrangement.enabled;
+        enabledElem.onchange = () => this.model.update(new model.SetSongMode(enabledElem.checked));
+        headerDiv.appendChild(enabledElem);
+        headerDiv.appendChild(document.createTextNode(' Play the song arrangement   Bars '));
+
+        let selectBars = document.createElement('select');
+        selectBars.onchange = () => this.model.update(new model.SetNumBars(Number(selectBars.value)));
+        headerDiv.appendChild(selectBars);
+
+        for (let numBars = 4; numBars <= model.MAX_BARS; numBars *= 2)
+        {
+            let opt = document.createElement('option');
+            opt.setAttribute('value', numBars);
+            opt.appendChild(document.createTextNode(numBars));
+            opt.selected = (numBars == arrangement.numBars);
+            selectBars.appendChild(opt);
+        }
+
+        let sequencers = findSequencers(state, []);
+
+        if (sequencers.length == 0)
+        {
+            let textDiv = document.createElement('div');
+            textDiv.textContent = 'Create a MonoSeq or GateSeq node to arrange its patterns into a song';
+            this.panelDiv.appendChild(textDiv);
+            return;
+        }
+
+        // One lane per sequencer
+        for (let [nodeId, node] of sequencers)
+        {
+            let lane = arrangement.lanes[nodeId] || [];
+
+            let laneDiv = document.createElement('div');
+            laneDiv.className = 'song_lane';
+            this.panelDiv.appendChild(laneDiv);
+
+            let nameDiv = document.createElement('div');
+            nameDiv.className = 'song_lane_name';
+            nameDiv.textContent = node.name;
+            laneDiv.appendChild(nameDiv);
+
+            for (let barIdx = 0; barIdx < arrangement.numBars; ++barIdx)
+            {
+                let patIdx = (barIdx < lane.length)? lane[barIdx]:null;
+
+                let cellDiv = document.createElement('div');
+                cellDiv.className = (patIdx === null)? 'song_cell':'song_cell song_cell_on';
+                cellDiv.textContent = (patIdx === null)? '':String(patIdx + 1);
+                cellDiv.title = `bar ${barIdx + 1}`;
+                laneDiv.appendChild(cellDiv);
+
+                // Clicking cycles through the patterns,
+                // right-clicking removes the pattern change
+                cellDiv.onclick = evt =>
+                {
+                    let nextIdx = (patIdx === null)? 0:patIdx + 1;
+                    if (nextIdx >= model.NUM_PATTERNS)
+                        nextIdx = null;
+                    this.model.update(new model.SetLaneCell(nodeId, barIdx, nextIdx));
+                };
+
+                cellDiv.oncontextmenu = evt =>
+                {
+                    evt.preventDefault();
+                    this.model.update(new model.SetLaneCell(nodeId, barIdx, null));
+                };
+            }
+        }
+    }
+}
+
+/**
+ * Recursively find the sequencer nodes in a graph, including those
+ * inside of modules. Returns a list of [nodeId, node] pairs.
+ */
+function findSequencers(graph, sequencers)
+{
+    for (let nodeId in graph.nodes)
+    {
+        let node = graph.nodes[nodeId];
+
+        if (node.type == 'MonoSeq' || node.type == 'GateSeq')
+            sequencers.push([nodeId, node]);
+
+        if (node.type == 'Module')
+            findSequencers(node, sequencers);
+    }
+
+    return sequencers;
+}
@@ -1,8 +1,42 @@
 import { assert, isPosInt } from './utils.js';
-import { NODE_SCHEMA } from './model.js';
+import { NODE_SCHEMA, MIDI_VOICE_OUTS, MIDI_GLOBAL_OUTS, DEFAULT_CELL, MAX_RATCHETS } from './model.js';
 import * as synth from './synth.js';
 import * as music from './music.js';
 
+/**
+ * Number of samples generated per block, matching the
+ * render quantum size of the Web Audio API
+ */
+export const BLOCK_SIZE = 128;
+
+/**
+ * Duration in seconds of the crossfade from the current unit
+ * to the next one, when a new unit is swapped in
+ */
+export const SWAP_FADE_TIME = 0.003;
+
+/**
+ * Number of clock pulses per 4/4 bar
+ */
+const PULSES_PER_BAR = 4 * music.CLOCK_PPQ;
+
+/**
+ * Duration in seconds of the glide from a tied MonoSeq note to the next
+ */
+const SLIDE_TIME = 0.06;
+
+/**
+ * Get the current time in milliseconds, for profiling
+ * The performance API isn't available in all audio worklet scopes
+ */
+export function now()
+{
+    if (typeof performance != 'undefined')
+        return performance.now();
+
+    return Date.now();
+}
+
 /**
  * Stateful graph that generates audio samples
  */
@@ -10,20 +44,50 @@ export class AudioGraph
 {
     constructor(sampleRate, send)
     {
-        assert (sampleRate == 44100);
+        assert (isPosInt(sampleRate));
         this.sampleRate = sampleRate;
 
         // Current playback position in seconds
         this.playPos = 0;
 
-        // Compiled code to generate audio samples
-        this._genSample = null;
+        // Currently playing unit, with the compiled code to generate
+        // blocks of audio samples and the audio nodes it uses
+        this.curUnit = null;
+
+        // Previous unit, fading out while the current unit fades in
+        this.prevUnit = null;
+
+        // Crossfade position in samples, from 0 to fadeLen
+        this.fadeLen = Math.max(Math.round(SWAP_FADE_TIME * sampleRate), 1);
+        this.fadePos = this.fadeLen;
+
+        // Output buffers of the previous unit during the crossfade
+        this.fadeL = new Float32Array(BLOCK_SIZE);
+        this.fadeR = new Float32Array(BLOCK_SIZE);
 
         // Method to send messages to the main thread
         this.send = send;
 
         // Stateful audio processing nodes, indexed by nodeId
+        // These are the nodes used by the most recent unit
         this.nodes = [];
+
+        // Project seed for the nodes that produce random values
+        this.seed = null;
+
+        // Time spent in milliseconds in each class of audio node, and
+        // number of frames measured, indexed by node type, or null if
+        // profiling is disabled
+        this.profile = null;
+
+        // Node type sampled during the current block while profiling
+        this.sampledType = null;
+        this.sampleIdx = 0;
+
+        // Node types of the current unit, and copies of its nodes
+        // that the calls recorded while profiling get replayed on
+        this.profileTypes = [];
+        this.probes = [];
     }
 
     /**
@@ -37,6 +101,16 @@ export class AudioGraph
         // delay lines would lose their current state.
         // All nodes get garbage collected when the playback is stopped.
 
+        // If the project seed changed, existing nodes need to be reseeded
+        let reseed = (unit.seed !== this.seed);
+        this.seed = unit.seed;
+
+        // The current unit keeps its own nodes while it fades out.
+        // Nodes shared with the new unit must only be updated once per
+        // sample, so the current unit gets its own copies of them.
+        let oldNodes = this.nodes;
+        this.nodes = this.nodes.slice();
+
         // For each audio node
         for (let nodeId in unit.nodes)
         {
@@ -48,19 +122,28 @@ export class AudioGraph
                 AudioNode
             );
 
-            // If a node with this nodeId is already mapped
-            if (this.nodes[nodeId])
+            // If a node with this nodeId is already mapped,
+            // and its state persists across unit swaps
+            if (this.nodes[nodeId] && this.nodes[nodeId].persists(nodeState))
             {
                 let node = this.nodes[nodeId];
 
                 // The existing node must have the same type
                 assert (node instanceof nodeClass);
 
+                if (this.curUnit)
+                    oldNodes[nodeId] = copyNode(node);
+
                 // Update the node's state
                 node.setState(nodeState);
+
+                if (reseed)
+                    node.setSeed(this.seed);
             }
             else
             {
+                let oldNode = this.nodes[nodeId];
+
                 // Create a new audio node
                 this.nodes[nodeId] = new nodeClass(
                     nodeId,
@@ -68,15 +151,63 @@ export class AudioGraph
                     this.sampleRate,
                     this.send
                 );
+
+                this.nodes[nodeId].setSeed(this.seed);
+
+                // The node being replaced only keeps producing
+                // samples while the current unit fades out
+                if (oldNode)
+                {
+                    this.nodes[nodeId].takeOver(oldNode);
+                    oldNode.send = muteSend;
+                }
+
+                if (this.profile)
+                    this.profileNode(this.nodes[nodeId]);
             }
         }
 
-        // Create the sample generation function
-        this._genSample = new Function(
-            'time',
+        // Sequencers follow the song arrangement, if enabled
+        for (let nodeId in unit.nodes)
+        {
+            if (this.nodes[nodeId] instanceof Sequencer)
+                this.nodes[nodeId].setArrangement(unit.arrangement);
+        }
+
+        // Create the block generation function
+        let genBlock = new Function(
             'nodes',
+            'time',
+            'sampleTime',
+            'numSamples',
+            'outL',
+            'outR',
             unit.src
         );
+
+        let newUnit = {
+            genBlock: genBlock,
+            nodes: this.nodes,
+            nodeIds: Object.keys(unit.nodes)
+        };
+
+        if (this.profile)
+            this.resetProbes(newUnit);
+
+        // The first unit starts playing immediately
+        if (!this.curUnit)
+        {
+            this.curUnit = newUnit;
+            return;
+        }
+
+        // Swapping the generated code abruptly would often produce a
+        // click, so the current unit crossfades into the new one.
+        // If a crossfade was already in progress, the unit fading
+        // out gets cut and the crossfade restarts.
+        this.prevUnit = this.curUnit;
+        this.curUnit = newUnit;
+        this.fadePos = 0;
     }
 
     /**
@@ -86,6 +217,11 @@ export class AudioGraph
     {
         let node = ('nodeId' in msg)? this.nodes[msg.nodeId]:null;
 
+        // Nodes that can't affect the output are pruned from the compiled
+        // unit, so they don't exist until they get connected
+        if ('nodeId' in msg && !node)
+            return;
+
         switch (msg.type)
         {
             case 'NEW_UNIT':
@@ -105,31 +241,324 @@ export class AudioGraph
             break;
 
             case 'QUEUE_PATTERN':
-            node.queuePattern(msg.patIdx, msg.patData);
+            node.queuePattern(msg.patIdx, msg.patData, msg.stepLen);
             break;
 
             case 'NOTE_ON':
             node.noteOn(msg.noteNo, msg.velocity);
             break;
 
+            case 'MIDI_EXPRESSION':
+            node.setExpression(msg.control, msg.value, msg.noteNo);
+            break;
+
+            case 'MIDI_CLOCK':
+            node.clockMsg(msg.event, msg.songPos);
+
+            // Move the sequencers to the song position of the
+            // external clock when it starts or gets repositioned
+            if (msg.event == 'start' || msg.event == 'position')
+                this.seek(node.songPos);
+            break;
+
+            case 'SET_PROFILING':
+            this.setProfiling(msg.enabled);
+            break;
+
             default:
             throw new TypeError('unknown message type');
         }
     }
 
     /**
-     * Generate one [left, right] pair of audio samples
+     * Move all sequencers to a song position, in clock pulses
+     */
+    seek(songPos)
+    {
+        for (let node of this.nodes)
+        {
+            if (node instanceof Sequencer)
+                node.seek(songPos);
+        }
+    }
+
+    /**
+     * Enable or disable measuring the time spent in each class of node
+     */
+    setProfiling(enabled)
+    {
+        this.profile = enabled? {}:null;
+
+        if (!enabled)
+        {
+            this.probes = [];
+            return;
+        }
+
+        for (let node of this.nodes)
+        {
+            if (node)
+                this.profileNode(node);
+        }
+
+        if (this.curUnit)
+            this.resetProbes(this.curUnit);
+    }
+
+    /**
+     * Instrument the methods of a node called by the compiled code
+     * so that the calls get recorded while the node's class is sampled.
+     * Timing each call would cost more than the calls themselves, and
+     * the audio thread doesn't always have a precise enough clock.
+     */
+    profileNode(node)
+    {
+        if (node.callLog)
+            return;
+
+        let graph = this;
+        let nodeType = node.state.type;
+
+        // Recorded calls, as the method's target and name,
+        // the number of arguments and the argument values
+        let log = node.callLog = { calls: [], length: 0 };
+
+        function instrument(obj, isDelay)
+        {
+            for (let name of ['update', 'write', 'read'])
+            {
+                let method = obj[name];
+
+                if (typeof method != 'function')
+                    continue;
+
+                obj[name] = function ()
+                {
+                    if (graph.sampledType === nodeType)
+                    {
+                        let calls = log.calls;
+                        calls[log.length++] = isDelay;
+                        calls[log.length++] = name;
+                        calls[log.length++] = arguments.length;
+                        for (let i = 0; i < arguments.length; ++i)
+                            calls[log.length++] = arguments[i];
+                    }
+
+                    return method.apply(obj, arguments);
+                };
+            }
+        }
+
+        instrument(node, false);
+
+        // Delay nodes are used through their delay line
+        if (node.delay)
+            instrument(node.delay, true);
+    }
+
+    /**
+     * Create fresh copies of the nodes of a unit for the recorded
+     * calls to be replayed on, so that replaying them doesn't
+     * change the state of the nodes producing the audio output
+     */
+    resetProbes(unit)
+    {
+        this.probes = [];
+        this.profileTypes = [];
+
+        for (let nodeId of unit.nodeIds)
+        {
+            let node = this.nodes[nodeId];
+            let nodeType = node.state.type;
+
+            this.probes[nodeId] = new node.constructor(
+                nodeId,
+                node.state,
+                this.sampleRate,
+                muteSend
+            );
+            this.probes[nodeId].setSeed(this.seed);
+
+            if (!this.profileTypes.includes(nodeType))
+                this.profileTypes.push(nodeType);
+        }
+    }
+
+    /**
+     * Replay the calls recorded for the node type sampled during the
+     * last block, and add the time they take to the profile
+     */
+    replaySample(numSamples)
+    {
+        let nodeType = this.sampledType;
+        this.sampledType = null;
+
+        let args = [];
+        let startTime = now();
+
+        for (let nodeId in this.probes)
+        {
+            let node = this.nodes[nodeId];
+
+            if (node.state.type !== nodeType)
+                continue;
+
+            let probe = this.probes[nodeId];
+            let calls = node.callLog.calls;
+
+            for (let i = 0; i < node.callLog.length;)
+            {
+                let obj = calls[i++]? probe.delay:probe;
+                let name = calls[i++];
+                args.length = calls[i++];
+                for (let j = 0; j < args.length; ++j)
+                    args[j] = calls[i++];
+                obj[name].apply(obj, args);
+            }
+
+            node.callLog.length = 0;
+        }
+
+        let time = now() - startTime;
+
+        if (!(nodeType in this.profile))
+            this.profile[nodeType] = { time: 0, frames: 0 };
+
+        this.profile[nodeType].time += time;
+        this.profile[nodeType].frames += numSamples;
+    }
+
+    /**
+     * Generate a block of audio samples into the left and right
+     * output channel arrays, which must have the same length
+     */
+    genBlock(outL, outR)
+    {
+        assert (outL.length == outR.length);
+
+        if (!this.curUnit)
+        {
+            outL.fill(0);
+            outR.fill(0);
+            return;
+        }
+
+        let numSamples = outL.length;
+        let time = this.playPos;
+
+        // The previous unit plays first, so that the samples the current
+        // unit writes into the delay buffers they share take precedence
+        let fadeSamples = this.prevUnit? this.genPrevBlock(time, numSamples):0;
+
+        // While profiling, one node type gets sampled per block
+        if (this.profile && this.profileTypes.length > 0)
+            this.sampledType = this.profileTypes[this.sampleIdx++ % this.profileTypes.length];
+
+        this.playPos = this.curUnit.genBlock(
+            this.curUnit.nodes,
+            time,
+            1 / this.sampleRate,
+            numSamples,
+            outL,
+            outR
+        );
+
+        if (this.sampledType !== null)
+            this.replaySample(numSamples);
+
+        // Crossfade from the previous unit to the current one
+        for (let i = 0; i < fadeSamples; ++i)
+        {
+            let gain = ++this.fadePos / this.fadeLen;
+            outL[i] = this.fadeL[i] + gain * (outL[i] - this.fadeL[i]);
+            outR[i] = this.fadeR[i] + gain * (outR[i] - this.fadeR[i]);
+        }
+
+        // The previous unit gets dropped once it is silent
+        if (this.prevUnit && this.fadePos == this.fadeLen)
+            this.prevUnit = null;
+    }
+
+    /**
+     * Generate the samples of the previous unit that remain to be
+     * crossfaded, and return the number of samples generated
      */
-    genSample()
+    genPrevBlock(time, numSamples)
     {
-        if (!this._genSample)
-            return [0, 0];
+        numSamples = Math.min(numSamples, this.fadeLen - this.fadePos);
+
+        if (this.fadeL.length < numSamples)
+        {
+            this.fadeL = new Float32Array(numSamples);
+            this.fadeR = new Float32Array(numSamples);
+        }
+
+        this.prevUnit.genBlock(
+            this.prevUnit.nodes,
+            time,
+            1 / this.sampleRate,
+            numSamples,
+            this.fadeL.subarray(0, numSamples),
+            this.fadeR.subarray(0, numSamples)
+        );
 
-        this.playPos += 1 / 44100;
-        return this._genSample(this.playPos, this.nodes);
+        return numSamples;
     }
 }
 
+/**
+ * Send function of the audio nodes that only keep producing samples
+ * while a unit fades out, so that they don't send duplicate messages
+ */
+function muteSend(msg)
+{
+}
+
+/**
+ * Copy an audio node, so that the copy can be updated independently
+ * of the original. Instrumented methods are left out of the copy.
+ * Sample buffers, such as delay lines, are shared with the original
+ * rather than copied, so that swapping units stays cheap.
+ */
+function copyNode(node)
+{
+    let copy = copyValue(node);
+    copy.send = muteSend;
+    return copy;
+}
+
+/**
+ * Recursively copy a value held by an audio node. The state of the
+ * node and its log of profiled calls are shared, since the copy only
+ * plays during a crossfade.
+ */
+function copyValue(val)
+{
+    if (ArrayBuffer.isView(val))
+        return val;
+
+    if (Array.isArray(val))
+        return val.map(copyValue);
+
+    if (!(val instanceof Object))
+        return val;
+
+    let copy = Object.create(Object.getPrototypeOf(val));
+
+    for (let key of Object.keys(val))
+    {
+        if (typeof val[key] == 'function')
+            continue;
+
+        if (key == 'state' || key == 'params' || key == 'callLog')
+            copy[key] = val[key];
+        else
+            copy[key] = copyValue(val[key]);
+    }
+
+    return copy;
+}
+
 /**
  * Base class for stateful audio processing nodes
  */
@@ -162,6 +591,31 @@ class AudioNode
         this.state = state;
         this.params = state.params;
     }
+
+    /**
+     * Check if the state of this node persists when a new unit is
+     * swapped in, given the node's state in the new unit. If not,
+     * a fresh node gets created for the new unit.
+     */
+    persists(state)
+    {
+        return true;
+    }
+
+    /**
+     * Take over what can be kept from the node this fresh node
+     * replaces, when the state of that node doesn't persist
+     */
+    takeOver(node)
+    {
+    }
+
+    /**
+     * Set the project seed for nodes that produce random values
+     */
+    setSeed(seed)
+    {
+    }
 }
 
 /**
@@ -205,6 +659,99 @@ class Clock extends AudioNode
     }
 }
 
+/**
+ * Clock signal following the pulses of an external MIDI clock
+ */
+class MidiClockIn extends AudioNode
+{
+    constructor(id, state, sampleRate, send)
+    {
+        super(id, state, sampleRate, send);
+
+        // Ticks are followed until a stop message is received,
+        // so that we can sync to a clock that is already running
+        this.running = true;
+
+        // Song position, in clock pulses
+        this.songPos = 0;
+
+        // Ticks received but not yet output
+        this.numTicks = 0;
+
+        // Time at which the last output pulse started
+        this.pulseTime = null;
+
+        // Estimated time between ticks, 120 BPM until measured
+        this.tickInterval = 60 / (120 * music.CLOCK_PPQ);
+
+        // Current clock output sign (positive/negative)
+        this.outSgn = false;
+    }
+
+    /**
+     * Receive a MIDI clock or transport message
+     */
+    clockMsg(event, songPos)
+    {
+        switch (event)
+        {
+            case 'tick':
+            if (this.running)
+            {
+                this.numTicks++;
+                this.songPos++;
+            }
+            break;
+
+            case 'start':
+            this.running = true;
+            this.songPos = 0;
+            this.numTicks = 0;
+            this.pulseTime = null;
+            break;
+
+            case 'continue':
+            this.running = true;
+            break;
+
+            case 'stop':
+            this.running = false;
+            this.numTicks = 0;
+            break;
+
+            // Song position pointers are in 16th notes
+            case 'position':
+            this.songPos = songPos * music.CLOCK_PPS;
+            break;
+
+            default:
+            assert (false);
+        }
+    }
+
+    update(time)
+    {
+        // Pulses stay high for half of the time between ticks
+        if (this.outSgn && time >= this.pulseTime + this.tickInterval / 2)
+        {
+            this.outSgn = false;
+        }
+        else if (!this.outSgn && this.numTicks > 0)
+        {
+            // Ticks can arrive in bursts because messages are only
+            // received between blocks, keep the estimate bounded
+            if (this.pulseTime !== null)
+                this.tickInterval = Math.min(time - this.pulseTime, 0.1);
+
+            this.numTicks--;
+            this.pulseTime = time;
+            this.outSgn = true;
+        }
+
+        return this.outSgn? 1:-1;
+    }
+}
+
 /**
  * Clock signal divider
  */
@@ -222,7 +769,8 @@ class ClockDiv extends AudioNode
         // just like the Clock node
         this.outSgn = true;
 
-        // Number of input ticks since the last output tick
+        // Number of input edges since the start of the last
+        // pair of output ticks, the second of which gets swung
         this.clockCnt = 0;
     }
 
@@ -234,18 +782,23 @@ class ClockDiv extends AudioNode
         // If the input clock sign just flipped
         if (this.inSgn != curSgn)
         {
-            // Count all edges, both rising and falling
-            this.clockCnt++;
-
-            // If we've reached the division factor
-            if (this.clockCnt >= this.params.factor)
-            {
-                // Reset the clock count
-                this.clockCnt = 0;
+            let factor = this.params.factor;
 
-                // Flip the output clock sign
-                this.outSgn = !this.outSgn;
-            }
+            // Count all edges, both rising and falling
+            this.clockCnt = (this.clockCnt + 1) % (4 * factor);
+
+            // Number of input edges by which the second output tick
+            // is delayed, at most half of the output clock period,
+            // leaving room for the output to go low before the next tick
+            let delay = Math.min(Math.round(this.params.swing * 2 * factor), factor, 2 * factor - 2);
+
+            // The output is high for the first half of the first
+            // tick, and for the first half of the second tick once
+            // it is delayed, cut short if needed
+            let cnt = this.clockCnt;
+            let start = 2 * factor + delay;
+            let end = Math.min(start + factor, 4 * factor - 1);
+            this.outSgn = (cnt < factor) || (cnt >= start && cnt < end);
         }
 
         this.inSgn = curSgn;
@@ -355,6 +908,14 @@ class NoiseOsc extends AudioNode
     constructor(id, state, sampleRate, send)
     {
         super(id, state, sampleRate, send);
+        this.rng = null;
+    }
+
+    setSeed(seed)
+    {
+        // Each node gets its own sequence of random values, so that
+        // adding or removing nodes doesn't change what the others produce
+        this.rng = new synth.Random(seed ^ Math.imul(this.nodeId, 0x9E3779B1));
     }
 
     update()
@@ -362,7 +923,7 @@ class NoiseOsc extends AudioNode
         let minVal = this.params.minVal;
         let maxVal = this.params.maxVal;
         let range = maxVal - minVal;
-        return minVal + range * Math.random();
+        return minVal + range * this.rng.next();
     }
 }
 
@@ -490,8 +1051,7 @@ class Scope extends AudioNode
         const SEND_RATE = NODE_SCHEMA.Scope.sendRate;
 
         // How often to gather samples
-        this.sampleInterv = sampleRate / (SEND_SIZE * SEND_RATE);
-        assert (isPosInt(this.sampleInterv));
+        this.sampleInterv = Math.max(Math.round(sampleRate / (SEND_SIZE * SEND_RATE)), 1);
 
         // Buffer of samples to be send
         this.buffer = new Array(SEND_SIZE);
@@ -543,7 +1103,8 @@ class Slide extends AudioNode
     update(input, rate)
     {
         // Remap so the useful range is around [0, 1]
-        rate = rate * 1000;
+        // The slide time is the same as 1000 samples at 44100Hz
+        rate = rate * 1000 * (this.sampleRate / 44100);
 
         if (rate < 1)
             rate = 1;
@@ -563,7 +1124,7 @@ class Filter extends AudioNode
     {
         super(id, state, sampleRate, send);
 
-        this.filter = new synth.TwoPoleFilter();
+        this.filter = new synth.TwoPoleFilter(sampleRate);
     }
 
     update(input, cutoff, reso)
@@ -622,7 +1183,8 @@ class Fold extends AudioNode
 }
 
 /**
- * Midi input node with freq and gate outputs
+ * Midi input node with freq, gate, velocity and aftertouch outputs
+ * for each voice, followed by pressure, pitch bend and mod wheel outputs
  */
 class MidiIn extends AudioNode
 {
@@ -630,55 +1192,279 @@ class MidiIn extends AudioNode
     {
         super(id, state, sampleRate, send);
 
-        // Current note being held
-        this.noteNo = 0;
+        // Voices that notes get allocated to
+        this.voices = [];
 
-        // Frequency of the note being held
-        this.freq = 0;
+        // Output values for each voice, followed by the shared outputs
+        this.outVals = [];
 
-        // Current gate state
-        this.gateState = 'off';
+        // Counter used to order voices by note on time
+        this.noteCount = 0;
+
+        // Channel pressure, pitch bend and mod wheel values
+        this.pressure = 0;
+        this.bend = 0;
+        this.mod = 0;
+
+        for (let i = 0; i < state.numVoices; ++i)
+        {
+            this.voices.push({
+                // Note being held, or null if the voice is free
+                noteNo: null,
+
+                // Frequency of the last note played
+                freq: 0,
+
+                // Current gate state
+                gateState: 'off',
+
+                // Order in which the last note was played
+                noteIdx: 0,
+
+                // Velocity of the last note played
+                vel: 0,
+
+                // Polyphonic aftertouch pressure
+                aftertouch: 0,
+            });
+        }
+
+        this.outVals.length = MIDI_VOICE_OUTS.length * state.numVoices + MIDI_GLOBAL_OUTS.length;
+        this.outVals.fill(0);
+    }
+
+    /**
+     * Check if the state of this node persists when a new unit is
+     * swapped in. The voices can't be carried over when their
+     * number changes, since they map to different outputs.
+     */
+    persists(state)
+    {
+        return state.numVoices == this.voices.length;
+    }
+
+    /**
+     * Pick the voice to play a new note on
+     */
+    allocVoice(noteNo)
+    {
+        // If this note is already held, retrigger its voice
+        let voice = this.voices.find(v => v.noteNo === noteNo);
+        if (voice)
+            return voice;
+
+        // Prefer the free voice whose note was played the longest ago,
+        // so that release tails of recent notes don't get cut
+        let free = this.voices.filter(v => v.noteNo === null);
+        if (free.length > 0)
+            return free.reduce((a, b) => (b.noteIdx < a.noteIdx)? b:a);
+
+        // All voices are in use, steal one
+        switch (this.state.stealMode)
+        {
+            case 'oldest':
+            return this.voices.reduce((a, b) => (b.noteIdx < a.noteIdx)? b:a);
+
+            case 'lowest':
+            return this.voices.reduce((a, b) => (b.noteNo < a.noteNo)? b:a);
+
+            case 'highest':
+            return this.voices.reduce((a, b) => (b.noteNo > a.noteNo)? b:a);
+
+            default:
+            assert (false);
+        }
     }
 
     noteOn(noteNo, velocity)
     {
         if (velocity > 0)
         {
-            this.noteNo = noteNo;
-            this.freq = music.Note(noteNo).getFreq();
-            this.gateState = 'pretrig';
+            let voice = this.allocVoice(noteNo);
+            voice.noteNo = noteNo;
+            voice.freq = music.Note(noteNo).getFreq();
+            voice.gateState = 'pretrig';
+            voice.noteIdx = this.noteCount++;
+            voice.vel = velocity / 127;
+            voice.aftertouch = 0;
         }
         else
         {
-            if (noteNo == this.noteNo)
+            let voice = this.voices.find(v => v.noteNo === noteNo);
+
+            if (voice)
             {
-                this.noteNo = 0;
-                this.gateState = 'off';
+                voice.noteNo = null;
+                voice.gateState = 'off';
             }
         }
     }
 
-    update()
+    /**
+     * Set the value of a MIDI expression control
+     */
+    setExpression(control, value, noteNo)
     {
-        // The pretrig state serves to force the gate to go to
-        // zero for at least one cycle so that ADSR envelopes
-        // can be retriggered if already active.
-        switch (this.gateState)
+        // Polyphonic aftertouch only affects the voice playing the note
+        if (control == 'aftertouch')
         {
-            case 'pretrig':
-            this.gateState = 'on';
-            return [0, 0];
+            let voice = this.voices.find(v => v.noteNo === noteNo);
 
-            case 'on':
-            return [this.freq, 1];
+            if (voice)
+                voice.aftertouch = value;
 
-            case 'off':
-            return [this.freq, 0];
+            return;
+        }
+
+        switch (control)
+        {
+            case 'pressure':
+            this.pressure = value;
+            break;
+
+            case 'bend':
+            this.bend = value;
+            break;
+
+            case 'mod':
+            this.mod = value;
+            break;
 
             default:
             assert (false);
         }
     }
+
+    update()
+    {
+        let outVals = this.outVals;
+        let numOuts = MIDI_VOICE_OUTS.length;
+
+        // Pitch bend shifts the frequency of every voice
+        let bendFactor = Math.pow(2, this.bend * this.params.bendRange / 12);
+
+        for (let i = 0; i < this.voices.length; ++i)
+        {
+            let voice = this.voices[i];
+            let outIdx = numOuts * i;
+
+            // The pretrig state serves to force the gate to go to
+            // zero for at least one cycle so that ADSR envelopes
+            // can be retriggered if already active.
+            switch (voice.gateState)
+            {
+                case 'pretrig':
+                voice.gateState = 'on';
+                outVals[outIdx] = 0;
+                outVals[outIdx+1] = 0;
+                break;
+
+                case 'on':
+                outVals[outIdx] = voice.freq * bendFactor;
+                outVals[outIdx+1] = 1;
+                break;
+
+                case 'off':
+                outVals[outIdx] = voice.freq * bendFactor;
+                outVals[outIdx+1] = 0;
+                break;
+
+                default:
+                assert (false);
+            }
+
+            outVals[outIdx+2] = voice.vel;
+            outVals[outIdx+3] = voice.aftertouch;
+        }
+
+        let outIdx = numOuts * this.voices.length;
+        outVals[outIdx] = this.pressure;
+        outVals[outIdx+1] = this.bend;
+        outVals[outIdx+2] = this.mod;
+
+        return outVals;
+    }
+}
+
+/**
+ * Midi output node sending notes on gate edges
+ */
+class MidiOut extends AudioNode
+{
+    constructor(id, state, sampleRate, send)
+    {
+        super(id, state, sampleRate, send);
+
+        // Last gate sign at the input (positive/negative)
+        this.gateSgn = false;
+
+        // Note currently on, or null
+        this.noteNo = null;
+
+        // Device and channel the current note was sent on
+        this.deviceName = null;
+        this.chanNo = null;
+    }
+
+    /**
+     * Send a note on or off message back to the main thread
+     */
+    sendNote(time, noteNo, velocity)
+    {
+        this.send({
+            type: 'NOTE_OUT',
+            nodeId: this.nodeId,
+            time: time,
+            deviceName: this.deviceName,
+            chanNo: this.chanNo,
+            noteNo: noteNo,
+            velocity: velocity
+        });
+    }
+
+    /**
+     * Release the note currently on, if any
+     */
+    noteOff(time)
+    {
+        if (this.noteNo === null)
+            return;
+
+        this.sendNote(time, this.noteNo, 0);
+        this.noteNo = null;
+    }
+
+    update(time, freq, gate, vel)
+    {
+        // Current gate sign at the input
+        let curSgn = (gate > 0);
+
+        // Rising edge, start a new note
+        if (curSgn && !this.gateSgn)
+        {
+            this.noteOff(time);
+
+            let noteNo = (freq > 0)? music.Note.freqToNo(freq):-1;
+
+            // Frequencies outside of the MIDI note range are ignored
+            if (noteNo >= 0 && noteNo < music.NUM_NOTES)
+            {
+                let velocity = Math.max(1, Math.min(127, Math.round(vel * 127)));
+                this.noteNo = noteNo;
+                this.deviceName = this.params.deviceName;
+                this.chanNo = this.params.chanNo;
+                this.sendNote(time, noteNo, velocity);
+            }
+        }
+
+        // Falling edge, end the current note
+        if (!curSgn && this.gateSgn)
+        {
+            this.noteOff(time);
+        }
+
+        this.gateSgn = curSgn;
+    }
 }
 
 /**
@@ -704,6 +1490,101 @@ class Sequencer extends AudioNode
 
         // Next pattern that is queued for playback
         this.nextPat = undefined;
+
+        // Number of clock pulses received since the start of the song
+        this.pulseCount = 0;
+
+        // Pattern to switch to at each bar of the song arrangement,
+        // or null if there is no song arrangement to follow
+        this.lane = null;
+
+        // Number of bars in the song arrangement
+        this.numBars = 0;
+
+        // Time of the last clock pulse, and time between the last
+        // two clock pulses, used to space out ratchets in time
+        this.pulseTime = null;
+        this.pulseInterval = 0;
+
+        // Ratchets of the current step still to be triggered, as
+        // the row, cell values and time of each ratchet, sorted by
+        // time. The queue gets reused from step to step, so that
+        // no memory gets allocated in the audio thread.
+        this.allocRatchets(state.patterns[this.patIdx][0].length);
+
+        // Cells of the step delayed by the swing, still to be
+        // triggered, the time it is due and its remaining length
+        this.swungCells = null;
+        this.swungTime = 0;
+        this.swungStepTime = 0;
+
+        // Random number generator for the trigger probabilities
+        this.rng = null;
+    }
+
+    setSeed(seed)
+    {
+        this.rng = new synth.Random(seed ^ Math.imul(this.nodeId, 0x9E3779B1));
+    }
+
+    /**
+     * Keep the timing of the sequencer being replaced, so that a
+     * fresh sequencer stays in sync with the clock and the song
+     */
+    takeOver(node)
+    {
+        this.clockSgn = node.clockSgn;
+        this.clockCnt = node.clockCnt;
+        this.nextStep = node.nextStep;
+        this.nextPat = node.nextPat;
+        this.pulseCount = node.pulseCount;
+        this.pulseTime = node.pulseTime;
+        this.pulseInterval = node.pulseInterval;
+    }
+
+    /**
+     * Set the song arrangement to follow, or null
+     */
+    setArrangement(arrangement)
+    {
+        if (!arrangement)
+        {
+            this.lane = null;
+            return;
+        }
+
+        this.lane = arrangement.lanes[this.nodeId] || [];
+        this.numBars = arrangement.numBars;
+    }
+
+    /**
+     * Switch to a new pattern and send the change to the main thread
+     */
+    switchPattern(patIdx)
+    {
+        this.send({
+            type: 'SET_PATTERN',
+            nodeId: this.nodeId,
+            patIdx: patIdx
+        });
+
+        this.patIdx = patIdx;
+    }
+
+    /**
+     * Get the pattern the song arrangement has at the current bar,
+     * or undefined if there is no pattern change at this bar
+     */
+    lanePattern()
+    {
+        let barIdx = Math.floor(this.pulseCount / PULSES_PER_BAR) % this.numBars;
+        let patIdx = this.lane[barIdx];
+
+        // Ignore the patterns that were never initialized
+        if (patIdx == null || !this.state.patterns[patIdx])
+            return undefined;
+
+        return patIdx;
     }
 
     /**
@@ -728,22 +1609,135 @@ class Sequencer extends AudioNode
     /**
      * Queue the next pattern to play
      */
-    queuePattern(patIdx, patData)
+    queuePattern(patIdx, patData, stepLen)
     {
         console.log(`got queuePattern, patIdx=${patIdx}`);
 
         this.state.patterns[patIdx] = patData;
+        this.state.stepLens[patIdx] = stepLen;
         this.nextPat = patIdx;
     }
 
     /**
-     * Trigger a note at this row
+     * Move to a song position, in clock pulses, so that the next
+     * clock pulse received is the one at this position
+     */
+    seek(songPos)
+    {
+        this.pulseCount = songPos;
+
+        // Find the last pattern change of the song arrangement
+        // at or before the current bar
+        if (this.lane)
+        {
+            let barIdx = Math.floor(songPos / PULSES_PER_BAR) % this.numBars;
+
+            for (let i = Math.min(barIdx, this.lane.length - 1); i >= 0; --i)
+            {
+                let patIdx = this.lane[i];
+
+                if (patIdx == null || !this.state.patterns[patIdx])
+                    continue;
+
+                if (patIdx !== this.patIdx)
+                    this.switchPattern(patIdx);
+
+                break;
+            }
+        }
+
+        // Assuming the pattern has been looping since the start of
+        // the song, find the next step to play and the number of
+        // clock pulses until then
+        let grid = this.state.patterns[this.patIdx];
+        let stepLen = this.state.stepLens[this.patIdx];
+        this.nextStep = Math.ceil(songPos / stepLen) % grid.length;
+        this.clockCnt = (stepLen - songPos % stepLen) % stepLen;
+    }
+
+    /**
+     * Trigger a note at this row, given the values of its cell
      */
-    trigRow(rowIdx, time)
+    trigRow(rowIdx, time, attrs)
     {
         throw Error('each sequencer must implement trigRow');
     }
 
+    /**
+     * Allocate the ratchet queue, with room for the
+     * ratchets of every row of a step
+     */
+    allocRatchets(numRows)
+    {
+        let size = numRows * (MAX_RATCHETS - 1);
+        this.ratchetRows = new Array(size).fill(0);
+        this.ratchetAttrs = new Array(size).fill(null);
+        this.ratchetTimes = new Array(size).fill(0);
+
+        // Number of ratchets queued, and index of the next one due
+        this.numRatchets = 0;
+        this.ratchetIdx = 0;
+    }
+
+    /**
+     * Queue a ratchet, keeping the queue sorted by time
+     */
+    queueRatchet(rowIdx, attrs, time)
+    {
+        let i = this.numRatchets++;
+
+        for (; i > 0 && this.ratchetTimes[i-1] > time; --i)
+        {
+            this.ratchetRows[i] = this.ratchetRows[i-1];
+            this.ratchetAttrs[i] = this.ratchetAttrs[i-1];
+            this.ratchetTimes[i] = this.ratchetTimes[i-1];
+        }
+
+        this.ratchetRows[i] = rowIdx;
+        this.ratchetAttrs[i] = attrs;
+        this.ratchetTimes[i] = time;
+    }
+
+    /**
+     * Trigger the rows that are on at a given step, where
+     * stepTime is the time left until the end of the step
+     */
+    trigStep(stepCells, time, stepTime)
+    {
+        // Ratchets left over from the previous step are dropped
+        this.numRatchets = 0;
+        this.ratchetIdx = 0;
+
+        // The number of rows only changes if the pattern
+        // layout changes, which is rare
+        if (this.ratchetRows.length < stepCells.length * (MAX_RATCHETS - 1))
+            this.allocRatchets(stepCells.length);
+
+        // For each row
+        for (var rowIdx = 0; rowIdx < stepCells.length; ++rowIdx)
+        {
+            if (!stepCells[rowIdx])
+                continue
+
+            // Cells are read in place, to avoid allocating in the audio thread
+            let cell = stepCells[rowIdx];
+            let attrs = (cell === 1)? DEFAULT_CELL:cell;
+
+            // Randomly skip this row given its trigger probability
+            if (attrs.prob < 1 && this.rng.next() >= attrs.prob)
+                continue;
+
+            // Trigger this row
+            this.trigRow(rowIdx, time, attrs);
+
+            // Retrigger the row at even intervals during the step.
+            // The step length isn't known until two clock pulses
+            // have been received, so the first step has no ratchets.
+            for (let i = 1; i < attrs.ratchets && stepTime > 0; ++i)
+                this.queueRatchet(rowIdx, attrs, time + i * stepTime / attrs.ratchets);
+        }
+    }
+
     /**
      * Takes the current time and clock signal as input.
      * Produces frequency and gate signals as output.
@@ -752,12 +1746,37 @@ class Sequencer extends AudioNode
     {
         if (!this.clockSgn && clock > 0)
         {
+            if (this.pulseTime !== null)
+                this.pulseInterval = time - this.pulseTime;
+            this.pulseTime = time;
+
             // If we are at the beginning of a new sequencer step
             if (this.clockCnt == 0)
             {
+                // If the tempo sped up, the swung step may still be pending
+                if (this.swungCells)
+                {
+                    this.trigStep(this.swungCells, time, 0);
+                    this.swungCells = null;
+                }
+
+                // At the start of a pattern, switch to the pattern
+                // the song arrangement has for the current bar
+                if (this.nextStep == 0 && this.lane)
+                {
+                    let patIdx = this.lanePattern();
+
+                    if (patIdx !== undefined && patIdx !== this.patIdx)
+                    {
+                        this.switchPattern(patIdx);
+                        this.nextPat = undefined;
+                    }
+                }
+
                 var grid = this.state.patterns[this.patIdx];
+                var stepLen = this.state.stepLens[this.patIdx];
 
-                this.clockCnt = music.CLOCK_PPS;
+                this.clockCnt = stepLen;
                 var stepIdx = this.nextStep % grid.length;
                 this.nextStep++;
 
@@ -768,14 +1787,23 @@ class Sequencer extends AudioNode
                     stepIdx: stepIdx
                 });
 
-                // For each row
-                for (var rowIdx = 0; rowIdx < grid[stepIdx].length; ++rowIdx)
-                {
-                    if (!grid[stepIdx][rowIdx])
-                        continue
+                // The step lasts one pulse interval per clock pulse
+                let stepTime = this.pulseInterval * stepLen;
+
+                // Every other step is delayed by the swing amount
+                let delay = (stepIdx % 2 == 1)? this.params.swing * stepTime:0;
 
-                    // Trigger this row
-                    this.trigRow(rowIdx, time);
+                if (delay > 0)
+                {
+                    this.numRatchets = 0;
+                    this.ratchetIdx = 0;
+                    this.swungCells = grid[stepIdx];
+                    this.swungTime = time + delay;
+                    this.swungStepTime = stepTime - delay;
+                }
+                else
+                {
+                    this.trigStep(grid[stepIdx], time, stepTime);
                 }
 
                 // If this is the last step of this pattern
@@ -785,21 +1813,29 @@ class Sequencer extends AudioNode
 
                     if (this.nextPat !== undefined)
                     {
-                        // Send the pattern change to the main thread
-                        this.send({
-                            type: 'SET_PATTERN',
-                            nodeId: this.nodeId,
-                            patIdx: this.nextPat
-                        });
-
                         // Move to the next pattern
-                        this.patIdx = this.nextPat;
+                        this.switchPattern(this.nextPat);
                         this.nextPat = undefined;
                     }
                 }
             }
 
             this.clockCnt--;
+            this.pulseCount++;
+        }
+
+        // Trigger the step delayed by the swing once it's due
+        if (this.swungCells && time >= this.swungTime)
+        {
+            this.trigStep(this.swungCells, time, this.swungStepTime);
+            this.swungCells = null;
+        }
+
+        // Trigger the ratchets that are due
+        while (this.ratchetIdx < this.numRatchets && time >= this.ratchetTimes[this.ratchetIdx])
+        {
+            let i = this.ratchetIdx++;
+            this.trigRow(this.ratchetRows[i], time, this.ratchetAttrs[i]);
         }
 
         // Store the sign of the clock signal for this cycle
@@ -827,6 +1863,26 @@ class MonoSeq extends Sequencer
 
         // Frequency of the note being held
         this.freq = 0;
+
+        // Velocity of the last note triggered
+        this.vel = 0;
+
+        // Accent output of the last note triggered (0 or 1)
+        this.accent = 0;
+
+        // If the last note triggered is tied to the next one
+        this.tied = false;
+
+        // If the note being triggered follows a tied note
+        this.legato = false;
+
+        // Start time and start frequency of the glide
+        // to the current note, if gliding
+        this.slideTime = null;
+        this.slideFreq = 0;
+
+        // Frequency output during the last cycle
+        this.outFreq = 0;
     }
 
     /**
@@ -840,6 +1896,20 @@ class MonoSeq extends Sequencer
         this.scale = music.genScale(state.scaleRoot, state.scaleName, state.numOctaves);
     }
 
+    /**
+     * Check if the state of this node persists when a new unit is
+     * swapped in. The rows map to different notes when the scale
+     * changes, so the note being held can't be carried over.
+     */
+    persists(state)
+    {
+        return (
+            state.scaleRoot == this.state.scaleRoot &&
+            state.scaleName == this.state.scaleName &&
+            state.numOctaves == this.state.numOctaves
+        );
+    }
+
     /**
      * Set a given cell in a step sequencer
      */
@@ -854,20 +1924,51 @@ class MonoSeq extends Sequencer
         Sequencer.prototype.setCell.call(this, patIdx, stepIdx, rowIdx, value);
     }
 
+    /**
+     * Trigger the rows that are on at a given step
+     */
+    trigStep(stepCells, time, stepTime)
+    {
+        // A tied note is held until the next step, and
+        // released then if no note follows it
+        this.legato = this.tied;
+        this.tied = false;
+
+        Sequencer.prototype.trigStep.call(this, stepCells, time, stepTime);
+
+        this.legato = false;
+    }
+
     /**
      * Trigger a note at this row
      */
-    trigRow(rowIdx, time)
+    trigRow(rowIdx, time, attrs)
     {
-        this.gateState = 'pretrig';
-        this.trigTime = time;
         let note = this.scale[rowIdx];
+
+        // A note following a tied note glides from the tied
+        // note's frequency instead of retriggering the gate
+        if (this.legato && this.gateState == 'on')
+        {
+            this.slideTime = time;
+            this.slideFreq = this.outFreq;
+        }
+        else
+        {
+            this.gateState = 'pretrig';
+            this.slideTime = null;
+        }
+
+        this.trigTime = time;
         this.freq = note.getFreq();
+        this.vel = attrs.vel;
+        this.accent = (attrs.accent === true)? 1:0;
+        this.tied = (attrs.tie === true);
     }
 
     /**
      * Takes the current time and clock signal as input.
-     * Produces frequency and gate signals as output.
+     * Produces frequency, gate, velocity and accent signals as output.
      */
     update(time, clock, gateTime)
     {
@@ -875,28 +1976,43 @@ class MonoSeq extends Sequencer
 
         assert (!isNaN(this.freq), 'MonoSeq freq is NaN');
 
+        // Glide exponentially, that is linearly in pitch
+        let freq = this.freq;
+        if (this.slideTime !== null)
+        {
+            let t = (time - this.slideTime) / SLIDE_TIME;
+
+            if (t < 1)
+                freq = this.slideFreq * Math.pow(this.freq / this.slideFreq, t);
+            else
+                this.slideTime = null;
+        }
+
+        this.outFreq = freq;
+
         // The pretrig state serves to force the gate to go to
         // zero for at least one cycle so that ADSR envelopes
         // can be retriggered if already active.
         switch (this.gateState)
         {
             case 'off':
-            return [this.freq, 0];
+            return [freq, 0, this.vel, this.accent];
 
             case 'pretrig':
             this.gateState = 'on';
-            return [0, 0];
+            return [0, 0, this.vel, this.accent];
 
             case 'on':
             {
-                // If we are past the end of the note
-                if (time - this.trigTime > gateTime)
+                // If we are past the end of the note,
+                // unless it is tied to the next one
+                if (time - this.trigTime > gateTime && !this.tied)
                 {
                     this.gateState = 'off';
                     this.trigTime = 0;
                 }
 
-                return [this.freq, 1];
+                return [freq, 1, this.vel, this.accent];
             }
 
             default:
@@ -923,21 +2039,21 @@ class GateSeq extends Sequencer
         // Time when the gate was triggered
         this.trigTime = (new Array(this.numRows)).fill(0);
 
-        // Gate output values, one per row
-        this.gates = (new Array(this.numRows)).fill(0);
+        // Velocity of the last note triggered, one per row
+        this.vels = (new Array(this.numRows)).fill(0);
+
+        // Gate output values followed by velocity output values
+        this.outs = (new Array(2 * this.numRows)).fill(0);
     }
 
     /**
-     * Set/update the entire state for this node
+     * Check if the state of this node persists when a new unit is
+     * swapped in. The gate states are per row, so they can't be
+     * carried over when the number of rows changes.
      */
-    setState(state)
+    persists(state)
     {
-        Sequencer.prototype.setState.call(this, state);
-
-        this.numRows = state.numRows;
-        this.gateState = (new Array(this.numRows)).fill('off');
-        this.trigTime = (new Array(this.numRows)).fill(0);
-        this.gates = (new Array(this.numRows)).fill(0);
+        return state.numRows == this.numRows;
     }
 
     /**
@@ -951,10 +2067,11 @@ class GateSeq extends Sequencer
     /**
      * Trigger a note at this row
      */
-    trigRow(rowIdx, time)
+    trigRow(rowIdx, time, attrs)
     {
         this.gateState[rowIdx] = 'pretrig';
         this.trigTime[rowIdx] = time;
+        this.vels[rowIdx] = attrs.vel;
     }
 
     /**
@@ -995,11 +2112,12 @@ class GateSeq extends Sequencer
                 assert (false);
             }
 
-            this.gates[this.numRows - (i+1)] = (this.gateState[i] == 'on')? 1:0;
+            this.outs[this.numRows - (i+1)] = (this.gateState[i] == 'on')? 1:0;
+            this.outs[2 * this.numRows - (i+1)] = this.vels[i];
         }
 
-        // Return the gate values (one per row)
-        return this.gates;
+        // Return the gate values followed by the velocities (one per row)
+        return this.outs;
     }
 }
 
@@ -1024,7 +2142,9 @@ let NODE_CLASSES =
     Slide: Slide,
     Filter: Filter,
     Fold: Fold,
+    MidiClockIn: MidiClockIn,
     MidiIn: MidiIn,
+    MidiOut: MidiOut,
     MonoSeq: MonoSeq,
     GateSeq: GateSeq,
 };
@@ -1,6 +1,6 @@
 import { assert } from './utils.js';
 import * as model from './model.js';
-import { compile } from './compiler.js';
+import { compile, CompileError } from './compiler.js';
 
 export class AudioView
 {
@@ -17,6 +17,12 @@ export class AudioView
 
         // Latest compiled unit
         this.unit = null;
+
+        // Error from the latest compilation attempt, if any
+        this.compileError = null;
+
+        // Audio output being recorded, if any
+        this.recording = null;
     }
 
     /** Update the audio view */
@@ -28,7 +34,10 @@ export class AudioView
             action instanceof model.SetCurStep ||
             action instanceof model.SetPattern ||
             action instanceof model.SendSamples ||
-            action instanceof model.ClockPulse)
+            action instanceof model.ClockPulse ||
+            action instanceof model.NoteOut ||
+            action instanceof model.SetCompileError ||
+            action instanceof model.SetCpuLoad)
         {
             return;
         }
@@ -45,7 +54,20 @@ export class AudioView
             return;
         }
 
-        if (action instanceof model.SetParam)
+        if (action instanceof model.SetProfiling)
+        {
+            this.send({
+                type: 'SET_PROFILING',
+                enabled: action.enabled
+            });
+
+            return;
+        }
+
+        // Constant values are folded into the compiled unit,
+        // so changing them requires recompiling it
+        if (action instanceof model.SetParam &&
+            this.model.getNodeState(action.nodeId).type != 'Const')
         {
             this.send({
                 type: 'SET_PARAM',
@@ -57,7 +79,8 @@ export class AudioView
             return;
         }
 
-        if (action instanceof model.ToggleCell)
+        if (action instanceof model.ToggleCell ||
+            action instanceof model.SetCell)
         {
             this.send({
                 type: 'SET_CELL',
@@ -73,25 +96,27 @@ export class AudioView
 
         if (action instanceof model.QueuePattern)
         {
-            let node = state.nodes[action.nodeId];
+            let node = this.model.getNodeState(action.nodeId);
 
             this.send({
                 type: 'QUEUE_PATTERN',
                 nodeId: action.nodeId,
                 patIdx: action.patIdx,
-                patData: node.patterns[action.patIdx]
+                patData: node.patterns[action.patIdx],
+                stepLen: node.stepLens[action.patIdx]
             });
 
             return;
         }
 
         // TODO: use this for ExtendPattern, ShrinkPattern as well
-        if (action instanceof model.SetScale)
+        if (action instanceof model.SetScale ||
+            action instanceof model.SetStealMode)
         {
             this.send({
                 type: 'SET_STATE',
                 nodeId: action.nodeId,
-                state: state.nodes[action.nodeId]
+                state: this.model.getNodeState(action.nodeId)
             });
 
             return;
@@ -109,15 +134,73 @@ export class AudioView
             return;
         }
 
+        if (action instanceof model.MidiClock)
+        {
+            this.send({
+                type: 'MIDI_CLOCK',
+                nodeId: action.nodeId,
+                event: action.event,
+                songPos: action.songPos
+            });
+
+            return;
+        }
+
+        if (action instanceof model.MidiExpression)
+        {
+            this.send({
+                type: 'MIDI_EXPRESSION',
+                nodeId: action.nodeId,
+                control: action.control,
+                value: action.value,
+                noteNo: action.noteNo
+            });
+
+            return;
+        }
+
         console.log('recompile unit');
 
-        // Compile a new unit from the project state
-        this.unit = compile(state);
+        this.compileUnit(state);
+    }
+
+    /**
+     * Compile a new unit from the project state and send it to the
+     * audio thread. If compilation fails, the error is reported and
+     * the audio thread keeps playing the last unit that compiled.
+     */
+    compileUnit(state)
+    {
+        let unit;
+
+        try
+        {
+            unit = compile(state);
+        }
+        catch (e)
+        {
+            if (!(e instanceof CompileError))
+                throw e;
+
+            console.log(e);
+            this.compileError = e;
+            this.model.update(new model.SetCompileError(e));
+            return;
+        }
+
+        this.unit = unit;
 
         this.send({
             type: 'NEW_UNIT',
             unit: this.unit
         });
+
+        // Clear the previous error, if any
+        if (this.compileError)
+        {
+            this.compileError = null;
+            this.model.update(new model.SetCompileError(null));
+        }
     }
 
     /**
@@ -127,9 +210,10 @@ export class AudioView
     {
         assert (!this.audioCtx);
 
+        // Use the native sample rate of the audio device
+        // to avoid resampling, which would add latency
         this.audioCtx = new AudioContext({
-            latencyHint: 'interactive',
-            sampleRate: 44100
+            latencyHint: 'interactive'
         });
 
         // This seems to be necessary for Safari
@@ -149,12 +233,10 @@ export class AudioView
         this.audioWorklet.connect(this.audioCtx.destination);
 
         // Compile a new unit from the project state
-        this.unit = compile(state);
+        this.compileUnit(state);
 
-        this.send({
-            type: 'NEW_UNIT',
-            unit: this.unit
-        });
+        if (this.model.profiling)
+            this.send({ type: 'SET_PROFILING', enabled: true });
     }
 
     /**
@@ -167,10 +249,64 @@ export class AudioView
         this.audioWorklet.disconnect();
         this.audioWorklet = null;
 
-        this.audioCtx.close();
+        // If a recording is being stopped, the audio context is kept
+        // alive until the remaining recorded samples are received
+        let audioCtx = this.audioCtx;
+        if (this.recording)
+            this.recording.done.then(() => audioCtx.close());
+        else
+            audioCtx.close();
+
         this.audioCtx = null;
     }
 
+    /**
+     * Start recording the audio output during playback
+     */
+    startRecording()
+    {
+        assert (this.audioCtx);
+        assert (!this.recording);
+
+        let recording = {
+            sampleRate: this.audioCtx.sampleRate,
+            left: [],
+            right: [],
+            stopping: false,
+            resolve: null,
+            done: null
+        };
+
+        // Promise resolved once the recording is complete
+        recording.done = new Promise(resolve => recording.resolve = resolve);
+
+        this.recording = recording;
+        this.send({ type: 'START_RECORDING' });
+    }
+
+    /**
+     * Stop recording the audio output
+     * Returns a promise resolving to the recorded left and right channels
+     * along with their sample rate, or null if the recording is already
+     * being stopped
+     */
+    stopRecording()
+    {
+        assert (this.recording);
+
+        // The recording stays set until the audio thread confirms
+        // that it is stopped, so it may get stopped twice
+        if (this.recording.stopping)
+            return null;
+
+        this.recording.stopping = true;
+        this.send({ type: 'STOP_RECORDING' });
+
+        // The audio thread will send the remaining samples, followed
+        // by a message confirming that the recording is stopped
+        return this.recording.done;
+    }
+
     /**
      * Send a message to the audio thread (audio worket)
      */
@@ -189,13 +325,13 @@ export class AudioView
      */
     onmessage(event)
     {
-        // If playback is stopped, ignore any remaining
-        // messages from the audio thread
-        if (!this.audioCtx)
-            return;
-
         let msg = event.data;
 
+        // If playback is stopped, ignore any remaining messages
+        // from the audio thread, other than recorded samples
+        if (!this.audioCtx && !msg.type.startsWith('RECORD'))
+            return;
+
         switch (msg.type)
         {
             case 'SET_CUR_STEP':
@@ -213,6 +349,46 @@ export class AudioView
             case 'CLOCK_PULSE':
             this.model.update(new model.ClockPulse(msg.nodeId, msg.time));
             break;
+
+            case 'NOTE_OUT':
+            this.model.update(new model.NoteOut(msg.nodeId, msg.time, msg.deviceName, msg.chanNo, msg.noteNo, msg.velocity));
+            break;
+
+            case 'CPU_LOAD':
+            this.model.update(new model.SetCpuLoad(msg.load, msg.profile));
+            break;
+
+            case 'RECORD_SAMPLES':
+            this.recording.left.push(msg.left);
+            this.recording.right.push(msg.right);
+            break;
+
+            case 'RECORDING_STOPPED':
+            this.recording.resolve({
+                sampleRate: this.recording.sampleRate,
+                left: concatSamples(this.recording.left),
+                right: concatSamples(this.recording.right)
+            });
+            this.recording = null;
+            break;
         }
     }
 }
+
+/**
+ * Concatenate a list of sample arrays into a single Float32Array
+ */
+function concatSamples(chunks)
+{
+    let length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let samples = new Float32Array(length);
+
+    let offset = 0;
+    for (let chunk of chunks)
+    {
+        samples.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return samples;
+}
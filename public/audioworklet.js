@@ -1,4 +1,4 @@
-import { AudioGraph } from './audiograph.js';
+import { AudioGraph, now } from './audiograph.js';
 
 // Great intro to audio worklets:
 // https://developers.google.com/web/updates/2017/12/audio-worklet
@@ -6,6 +6,12 @@ import { AudioGraph } from './audiograph.js';
 // Mozilla reference:
 // https://developer.mozilla.org/en-US/docs/Web/API/AudioWorkletNode
 
+// Number of samples recorded before they are sent to the main thread
+const RECORD_CHUNK_SIZE = 8192;
+
+// How often the CPU load is reported to the main thread, in seconds
+const CPU_REPORT_INTERVAL = 0.5;
+
 class NCAudioWorklet extends AudioWorkletProcessor
 {
     constructor()
@@ -15,18 +21,94 @@ class NCAudioWorklet extends AudioWorkletProcessor
         // Port to process input messages from the main thread
         this.port.onmessage = this.onmessage.bind(this);
 
-        // Audio generation graph
+        // Audio generation graph, running at the
+        // sample rate of the audio context
         this.audioGraph = new AudioGraph(
-            44100,
+            sampleRate,
             this.port.postMessage.bind(this.port)
         );
+
+        // Buffers for the output samples being recorded, if any
+        this.recLeft = null;
+        this.recRight = null;
+        this.recLength = 0;
+
+        // Time spent generating samples, and duration of the audio
+        // generated, since the CPU load was last reported, in ms
+        this.busyTime = 0;
+        this.audioTime = 0;
     }
 
     /// Receive messages from the message port
     onmessage(event)
     {
         let msg = event.data;
-        this.audioGraph.parseMsg(msg);
+
+        switch (msg.type)
+        {
+            case 'START_RECORDING':
+            this.recLeft = new Float32Array(RECORD_CHUNK_SIZE);
+            this.recRight = new Float32Array(RECORD_CHUNK_SIZE);
+            this.recLength = 0;
+            break;
+
+            case 'STOP_RECORDING':
+            if (!this.recLeft)
+                break;
+            this.sendRecording();
+            this.recLeft = null;
+            this.recRight = null;
+            this.port.postMessage({ type: 'RECORDING_STOPPED' });
+            break;
+
+            default:
+            this.audioGraph.parseMsg(msg);
+        }
+    }
+
+    /// Send the recorded samples to the main thread
+    sendRecording()
+    {
+        if (!this.recLeft)
+            return;
+
+        let left = this.recLeft.slice(0, this.recLength);
+        let right = this.recRight.slice(0, this.recLength);
+        this.recLength = 0;
+
+        this.port.postMessage(
+            { type: 'RECORD_SAMPLES', left: left, right: right },
+            [left.buffer, right.buffer]
+        );
+    }
+
+    /// Send the CPU load, and the profiling data if enabled, to the main thread
+    sendCpuLoad()
+    {
+        let profile = this.audioGraph.profile;
+
+        // Report the time spent in each node class as a fraction of
+        // the duration of the audio generated while it was sampled
+        if (profile)
+        {
+            for (let nodeType in profile)
+            {
+                let { time, frames } = profile[nodeType];
+                profile[nodeType] = time / (1000 * frames / sampleRate);
+            }
+        }
+
+        this.port.postMessage({
+            type: 'CPU_LOAD',
+            load: this.busyTime / this.audioTime,
+            profile: profile
+        });
+
+        if (profile)
+            this.audioGraph.profile = {};
+
+        this.busyTime = 0;
+        this.audioTime = 0;
     }
 
     process(inputs, outputs, parameters)
@@ -35,12 +117,30 @@ class NCAudioWorklet extends AudioWorkletProcessor
         const outChannel0 = output[0];
         const outChannel1 = output[1];
 
-        // For each sample to generate
-        for (let i = 0; i < outChannel0.length; i++)
+        let startTime = now();
+
+        // Generate the whole block of samples at once
+        this.audioGraph.genBlock(outChannel0, outChannel1);
+
+        // Compare the time it took to generate the block with its
+        // duration, which is the deadline to generate the next block
+        this.busyTime += now() - startTime;
+        this.audioTime += 1000 * outChannel0.length / sampleRate;
+
+        if (this.audioTime >= 1000 * CPU_REPORT_INTERVAL)
+            this.sendCpuLoad();
+
+        // Record exactly what is being output
+        if (this.recLeft)
         {
-            let [leftVal, rightVal] = this.audioGraph.genSample();
-            outChannel0[i] = leftVal;
-            outChannel1[i] = rightVal;
+            for (let i = 0; i < outChannel0.length; i++)
+            {
+                this.recLeft[this.recLength] = outChannel0[i];
+                this.recRight[this.recLength] = outChannel1[i];
+
+                if (++this.recLength == RECORD_CHUNK_SIZE)
+                    this.sendRecording();
+            }
         }
 
         return true;
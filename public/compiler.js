@@ -2,6 +2,153 @@ import { assert, treeCopy } from './utils.js';
 import { NODE_SCHEMA } from './model.js';
 import * as music from './music.js';
 
+/**
+ * Error reported when a graph can't be compiled, with an error code,
+ * a message to show the user, and the id of the offending node, if any
+ */
+export class CompileError extends Error
+{
+    constructor(code, message, nodeId)
+    {
+        super(message);
+        this.name = 'CompileError';
+        this.code = code;
+        this.nodeId = (nodeId === undefined)? null:nodeId;
+    }
+}
+
+/**
+ * Recursively inline the nodes inside of modules into the parent graph.
+ * Inside a module, node inputs coming from outside the module are encoded
+ * as integer indices into the module's list of inputs, and nodes outside
+ * the module refer to module outputs as [moduleId, outIdx] pairs. These
+ * are rewritten into direct connections between nodes.
+ */
+function inlineModules(graph)
+{
+    // Copy the graph before modifying it
+    graph = treeCopy(graph);
+
+    // Find a module node in the graph, if any
+    function findModule()
+    {
+        for (let nodeId in graph.nodes)
+        {
+            if (graph.nodes[nodeId].type == 'Module')
+                return nodeId;
+        }
+
+        return null;
+    }
+
+    // Modules can be nested. Each time a module gets inlined, the
+    // modules it contains become part of the parent graph.
+    for (let moduleId = findModule(); moduleId !== null; moduleId = findModule())
+    {
+        let module = graph.nodes[moduleId];
+        delete graph.nodes[moduleId];
+
+        // Move the nodes inside the module into the parent graph
+        for (let nodeId in module.nodes)
+        {
+            let node = module.nodes[nodeId];
+
+            // Note that node ids are unique across all modules
+            assert (!(nodeId in graph.nodes));
+
+            // Connect inputs coming from outside the module directly
+            // to their source in the parent graph
+            for (let i = 0; i < node.ins.length; ++i)
+            {
+                if (typeof node.ins[i] == 'number')
+                {
+                    // Edges are copied because topoSort tracks them by identity
+                    let srcPort = module.ins[node.ins[i]];
+                    node.ins[i] = srcPort? srcPort.slice():null;
+                }
+            }
+
+            graph.nodes[nodeId] = node;
+        }
+
+        // Connect nodes using the module outputs directly to the
+        // source ports inside the module
+        for (let nodeId in graph.nodes)
+        {
+            let node = graph.nodes[nodeId];
+
+            for (let i = 0; i < node.ins.length; ++i)
+            {
+                if (!(node.ins[i] instanceof Array))
+                    continue;
+
+                let [srcId, srcPort] = node.ins[i];
+
+                if (srcId == moduleId)
+                {
+                    let outPort = module.outs[srcPort];
+                    node.ins[i] = outPort? outPort.slice():null;
+                }
+            }
+        }
+    }
+
+    return graph;
+}
+
+/**
+ * Remove nodes that have no effect on the output of a graph.
+ * Nodes are kept only if they have a path to the audio output or to a
+ * node that sends data back to the main thread, such as scopes and
+ * sequencers reporting their current step.
+ * Note: this function assumes that all nodes inside modules have been
+ * inlined, and there are no modules in the input.
+ */
+function pruneNodes(graph)
+{
+    const SINK_TYPES = ['AudioOut', 'ClockOut', 'MidiOut', 'Scope', 'MonoSeq', 'GateSeq'];
+
+    // Copy the graph before modifying it
+    graph = treeCopy(graph);
+
+    // Nodes found to affect the output
+    let live = new Set();
+
+    // Stack of nodes to visit, starting from the sinks
+    let stack = [];
+
+    for (let nodeId in graph.nodes)
+    {
+        if (SINK_TYPES.includes(graph.nodes[nodeId].type))
+            stack.push(nodeId);
+    }
+
+    // Follow the input connections backwards from the sinks
+    while (stack.length > 0)
+    {
+        let nodeId = String(stack.pop());
+
+        if (live.has(nodeId))
+            continue;
+
+        live.add(nodeId);
+
+        for (let edge of graph.nodes[nodeId].ins)
+        {
+            if (edge)
+                stack.push(edge[0]);
+        }
+    }
+
+    for (let nodeId in graph.nodes)
+    {
+        if (!live.has(nodeId))
+            delete graph.nodes[nodeId];
+    }
+
+    return graph;
+}
+
 /**
  * Split delay and hold nodes into two pseudo-nodes to break cycles.
  * Note: this function assumes that all nodes inside modules have been
@@ -43,6 +190,7 @@ function splitNodes(graph)
         // The read node takes no inputs, produces an output
         let readNode = {...node};
         readNode.type = (node.type == 'Delay')? 'delay_read':'hold_read';
+        readNode.originalNode = node;
         readNode.originalId = nodeId;
         readNode.ins = [];
         let readNodeId = String(++maxId);
@@ -178,7 +326,7 @@ function topoSort(graph)
     // If the topological ordering doesn't include all the nodes
     if (L.length != Object.keys(graph.nodes).length)
     {
-        throw SyntaxError('graph contains cycles');
+        throw new CompileError('GRAPH_CYCLE', 'graph contains cycles');
     }
 
     return L;
@@ -191,18 +339,20 @@ export function detectCycles(graph)
 {
     try
     {
-        topoSort(splitNodes(graph));
+        topoSort(splitNodes(inlineModules(graph)));
         // A graph sorted with no issues has no cycle
         return false;
     }
     catch (err)
     {
-        // The only error thrown from topoSort is the SyntaxError, indicating a cycle
+        // The only error thrown from topoSort is the CompileError, indicating a cycle
         return true;
     }
-}/**
+}
 
+/**
  * Compile a sound-generating function from a graph of nodes
+ * Throws a CompileError if the graph can't be compiled
  */
 export function compile(graph)
 {
@@ -221,15 +371,51 @@ export function compile(graph)
             return defVal;
 
         let [srcId, portIdx] = node.ins[idx];
-        let srcNode = graph.nodes[srcId];
-        return outName(srcId, portIdx);
+        let name = outName(srcId, portIdx);
+
+        // Outputs that were folded or collapsed are replaced by their value
+        return (name in values)? values[name]:name;
+    }
+
+    // Fold a binary operation if both inputs are constants, which can
+    // be unconnected inputs, or outputs of Const nodes or folded nodes
+    // Returns false if the operation can't be folded
+    function foldConst(nodeId, node, fn)
+    {
+        let lhs = inVal(node, 0);
+        let rhs = inVal(node, 1);
+
+        if (typeof lhs != 'number' || typeof rhs != 'number')
+            return false;
+
+        values[outName(nodeId, 0)] = fn(lhs, rhs);
+        return true;
     }
 
     function addLine(str)
     {
         if (src)
             src += '\n';
-        src += '    ' + str;
+        src += '        ' + str;
+    }
+
+    function addInit(str)
+    {
+        if (initSrc)
+            initSrc += '\n';
+        initSrc += '    ' + str;
+    }
+
+    // Get the local variable referencing a stateful audio node
+    function nodeVar(nodeId, node)
+    {
+        if (!(nodeId in audioNodes))
+        {
+            audioNodes[nodeId] = node;
+            addInit(`let node${nodeId} = nodes[${nodeId}]`);
+        }
+
+        return 'node' + nodeId;
     }
 
     function addLet(name, str)
@@ -242,6 +428,12 @@ export function compile(graph)
         addLet(outName(nodeId, 0), str);
     }
 
+    // Inline the nodes inside modules
+    graph = inlineModules(graph);
+
+    // Remove the nodes that can't affect the output
+    graph = pruneNodes(graph);
+
     // Split nodes to break cycles
     graph = splitNodes(graph);
 
@@ -267,13 +459,20 @@ export function compile(graph)
         if (node.type == 'AudioOut')
         {
             if (audioOutId !== null)
-                throw 'there can be only one AudioOut node';
+                throw new CompileError('MULTIPLE_AUDIO_OUT', 'there can be only one AudioOut node', nodeId);
 
             audioOutId = nodeId;
         }
     }
 
-    // Generated source code
+    // Values of node outputs that are known at compile time, or that
+    // are forwarded from another output, indexed by output name
+    let values = {};
+
+    // Generated code run once per block, before the sample loop
+    let initSrc = '';
+
+    // Generated code run for each sample of the block
     let src = '';
 
     // Set of stateful nodes that are relevant for audio synthesis
@@ -286,17 +485,18 @@ export function compile(graph)
 
         if (node.type == 'Add')
         {
+            if (foldConst(nodeId, node, (a, b) => a + b))
+                continue;
+
             addDef(nodeId, inVal(node, 0) + ' + ' + inVal(node, 1));
             continue;
         }
 
         if (node.type == 'ADSR')
         {
-            audioNodes[nodeId] = node;
-
             addDef(
                 nodeId,
-                `nodes[${nodeId}].update(` +
+                `${nodeVar(nodeId, node)}.update(` +
                 `time,` +
                 `${inVal(node, 0)},` +
                 `${inVal(node, 1)},` +
@@ -318,61 +518,59 @@ export function compile(graph)
 
         if (node.type == 'BitCrush')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)})`);
             continue;
         }
 
         if (node.type == 'Clock')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update()`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update()`);
             continue;
         }
 
         if (node.type == 'ClockDiv')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)})`);
             continue;
         }
 
         if (node.type == 'ClockOut')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(time, ${inVal(node, 0)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(time, ${inVal(node, 0)})`);
             continue;
         }
 
         if (node.type == 'Const')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].params.value`);
+            // Constant values are folded into the code that uses them,
+            // so the unit gets recompiled when they change
+            values[outName(nodeId, 0)] = node.params.value;
             continue;
         }
 
         if (node.type == 'delay_write')
         {
-            audioNodes[node.originalId] = node.originalNode;
-            addLine(`nodes[${node.originalId}].delay.write(${inVal(node, 0)}, ${inVal(node, 1)})`);
+            addLine(`${nodeVar(node.originalId, node.originalNode)}.delay.write(${inVal(node, 0)}, ${inVal(node, 1)})`);
             continue;
         }
 
         if (node.type == 'delay_read')
         {
-            addDef(nodeId, `nodes[${node.originalId}].delay.read()`);
+            addDef(nodeId, `${nodeVar(node.originalId, node.originalNode)}.delay.read()`);
             continue;
         }
 
         if (node.type == 'Distort')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)}, ${inVal(node, 1)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)}, ${inVal(node, 1)})`);
             continue;
         }
 
         if (node.type == 'Div')
         {
+            if (foldConst(nodeId, node, (a, b) => b? (a / b):0))
+                continue;
+
             // Avoid dividing by zero because that can lead to NaN values being produced
             addDef(nodeId, inVal(node, 1) + '? (' + inVal(node, 0) + ' / ' + inVal(node, 1) + '):0');
             continue;
@@ -386,20 +584,18 @@ export function compile(graph)
 
         if (node.type == 'Filter')
         {
-            audioNodes[nodeId] = node;
             addDef(
                 nodeId,
-                `nodes[${nodeId}].update(${inVal(node, 0)}, ${inVal(node, 1)}, ${inVal(node, 2)})`
+                `${nodeVar(nodeId, node)}.update(${inVal(node, 0)}, ${inVal(node, 1)}, ${inVal(node, 2)})`
             );
             continue;
         }
 
         if(node.type == 'Fold')
         {
-            audioNodes[nodeId] = node;
             addDef(
                 nodeId, 
-                `nodes[${nodeId}].update(${inVal(node, 0)},${inVal(node,1)});`
+                `${nodeVar(nodeId, node)}.update(${inVal(node, 0)},${inVal(node,1)});`
             );
             continue;
         }
@@ -412,36 +608,48 @@ export function compile(graph)
 
         if (node.type == 'hold_write')
         {
-            audioNodes[node.originalId] = node.originalNode;
-            addLine(`nodes[${node.originalId}].write(${inVal(node, 0)}, ${inVal(node, 1)})`);
+            addLine(`${nodeVar(node.originalId, node.originalNode)}.write(${inVal(node, 0)}, ${inVal(node, 1)})`);
             continue;
         }
 
         if (node.type == 'hold_read')
         {
-            addDef(nodeId, `nodes[${node.originalId}].read()`);
+            addDef(nodeId, `${nodeVar(node.originalId, node.originalNode)}.read()`);
             continue;
         }
 
         if (node.type == 'Knob')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].params.value`);
+            // Parameters can only change between blocks
+            addInit(`let ${outName(nodeId, 0)} = ${nodeVar(nodeId, node)}.params.value`);
             continue;
         }
 
         if (node.type == 'MidiIn')
         {
-            audioNodes[nodeId] = node;
+            // One freq and gate output per voice
+            let outNames = node.outNames.map((n, i) => outName(nodeId, i)).join(', ');
 
             addLine(
-                `let [${outName(nodeId, 0)}, ${outName(nodeId, 1)}] = ` +
-                `nodes[${nodeId}].update()`
+                `let [${outNames}] = ` +
+                `${nodeVar(nodeId, node)}.update()`
             );
 
             continue;
         }
 
+        if (node.type == 'MidiClockIn')
+        {
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(time)`);
+            continue;
+        }
+
+        if (node.type == 'MidiOut')
+        {
+            addLine(`${nodeVar(nodeId, node)}.update(time, ${inVal(node, 0)}, ${inVal(node, 1)}, ${inVal(node, 2)})`);
+            continue;
+        }
+
         // Modulo
         if (node.type == 'Mod')
         {
@@ -455,20 +663,12 @@ export function compile(graph)
 
         if (node.type == 'GateSeq')
         {
-            audioNodes[nodeId] = node;
-
-            // Assemble the output names (one gate output per row)
-            let outNames = '';
-            for (let i = 0; i < node.numRows; ++i)
-            {
-                if (i > 0)
-                    outNames += ', ';
-                outNames += outName(nodeId, i);
-            }
+            // One gate and one velocity output per row
+            let outNames = node.outNames.map((n, i) => outName(nodeId, i)).join(', ');
 
             addLine(
                 `let [${outNames}] = ` +
-                `nodes[${nodeId}].update(time, ${inVal(node, 0)}, ${inVal(node, 1)})`
+                `${nodeVar(nodeId, node)}.update(time, ${inVal(node, 0)}, ${inVal(node, 1)})`
             );
 
             continue;
@@ -476,38 +676,35 @@ export function compile(graph)
 
         if (node.type == 'MonoSeq')
         {
-            audioNodes[nodeId] = node;
+            let outNames = node.outNames.map((n, i) => outName(nodeId, i)).join(', ');
 
             addLine(
-                `let [${outName(nodeId, 0)}, ${outName(nodeId, 1)}] = ` +
-                `nodes[${nodeId}].update(time, ${inVal(node, 0)}, ${inVal(node, 1)})`
+                `let [${outNames}] = ` +
+                `${nodeVar(nodeId, node)}.update(time, ${inVal(node, 0)}, ${inVal(node, 1)})`
             );
 
             continue;
         }
 
-        // Temporary so the compiler doesn't error when it sees a module
-        if (node.type == 'Module')
-        {
-            continue;
-        }
-
         if (node.type == 'Mul')
         {
+            if (foldConst(nodeId, node, (a, b) => a * b))
+                continue;
+
             addDef(nodeId, inVal(node, 0) + ' * ' + inVal(node, 1));
             continue;
         }
 
         if (node.type == 'Noise')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update()`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update()`);
             continue;
         }
 
         if (node.type == 'Nop')
         {
-            addDef(nodeId, inVal(node, 0));
+            // Nop nodes are collapsed by forwarding their input value
+            values[outName(nodeId, 0)] = inVal(node, 0);
             continue;
         }
 
@@ -518,75 +715,95 @@ export function compile(graph)
 
         if (node.type == 'Pulse')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)}, ${inVal(node, 1)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)}, ${inVal(node, 1)})`);
             continue;
         }
 
         if (node.type == 'Saw')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)})`);
             continue;
         }
 
         if (node.type == 'Scope')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)})`);
             continue;
         }
 
         if (node.type == 'Sine')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)}, ${inVal(node, 1)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)}, ${inVal(node, 1)})`);
             continue;
         }
 
         if (node.type == 'Slide')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)}, ${inVal(node, 1)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)}, ${inVal(node, 1)})`);
             continue;
         }
 
         if (node.type == 'Sub')
         {
+            if (foldConst(nodeId, node, (a, b) => a - b))
+                continue;
+
             addDef(nodeId, inVal(node, 0) + ' - ' + inVal(node, 1));
             continue;
         }
 
         if (node.type == 'Tri')
         {
-            audioNodes[nodeId] = node;
-            addDef(nodeId, `nodes[${nodeId}].update(${inVal(node, 0)})`);
+            addDef(nodeId, `${nodeVar(nodeId, node)}.update(${inVal(node, 0)})`);
             continue;
         }
 
-        throw 'unknown node type "' + node.type + '"';
+        throw new CompileError('UNKNOWN_NODE_TYPE', `unknown node type "${node.type}"`, nodeId);
     }
 
-    // Return the audio output values
+    // Write the audio output values
     if (audioOutId != null)
     {
-        addLine('return [' + outName(audioOutId, 0) + ', ' + outName(audioOutId, 1) + ']');
+        addLine('outL[i] = ' + outName(audioOutId, 0));
+        addLine('outR[i] = ' + outName(audioOutId, 1));
     }
     else
     {
-        addLine('return [0, 0]');
+        addLine('outL[i] = 0');
+        addLine('outR[i] = 0');
     }
 
+    // Generate the samples for the whole block in one loop, so that
+    // node references and values that are constant over the block
+    // are kept in local variables
+    src = (
+        (initSrc? initSrc + '\n':'') +
+        '    for (let i = 0; i < numSamples; ++i)\n' +
+        '    {\n' +
+        '        time += sampleTime\n' +
+        src + '\n' +
+        '    }\n' +
+        '    return time'
+    );
+
     //console.log(src);
 
     // This will be assembled into an audio processing graph
     // by the audio thread (audioworklet.js)
     return {
-        // Compiled source code of the genSample function
+        // Compiled source code of the genBlock function, which takes
+        // (nodes, time, sampleTime, numSamples, outL, outR) as arguments
+        // and returns the time after the last sample generated
         src: src,
 
         // Set of nodes that are relevant for audio processing,
         // indexed by nodeId
-        nodes: audioNodes
+        nodes: audioNodes,
+
+        // Seed for the nodes that produce random values
+        seed: graph.seed,
+
+        // Song arrangement chaining sequencer patterns, if enabled
+        arrangement: (graph.arrangement && graph.arrangement.enabled)? graph.arrangement:null
     };
 }
@@ -0,0 +1,72 @@
+import { Play, SetProfiling, SetCpuLoad } from './model.js';
+
+/**
+ * Model view showing the CPU load of the audio thread during playback
+ * Clicking the meter toggles profiling of the time spent in each class
+ * of audio node.
+ */
+export class CpuMeter
+{
+    constructor(model)
+    {
+        this.model = model;
+        model.addView(this);
+
+        // Meter shown in the toolbar
+        this.meterDiv = document.getElementById('cpu_meter');
+
+        // Panel listing the time spent in each class of node
+        this.profileDiv = document.getElementById('cpu_profile');
+
+        this.meterDiv.onclick = () => model.update(new SetProfiling(!model.profiling));
+    }
+
+    /** Update the CPU meter */
+    update(state, action)
+    {
+        let playing = this.model.playing;
+        let profiling = this.model.profiling;
+
+        this.meterDiv.style.display = playing? 'inline-flex':'none';
+        this.meterDiv.classList.toggle('profiling', profiling);
+        this.profileDiv.style.display = (playing && profiling)? 'block':'none';
+
+        if (action instanceof Play || action instanceof SetProfiling)
+        {
+            this.profileDiv.textContent = 'Profiling...';
+        }
+
+        if (action instanceof Play)
+        {
+            this.meterDiv.textContent = 'CPU';
+            this.meterDiv.classList.remove('overload');
+        }
+
+        if (action instanceof SetCpuLoad)
+        {
+            this.meterDiv.textContent = `CPU ${Math.round(100 * action.load)}%`;
+
+            // Warn when getting close to audio dropouts
+            this.meterDiv.classList.toggle('overload', action.load > 0.8);
+
+            if (action.profile)
+                this.showProfile(action.profile);
+        }
+    }
+
+    /**
+     * Show the fraction of time spent in each class of node,
+     * from the most to the least expensive
+     */
+    showProfile(profile)
+    {
+        let nodeTypes = Object.keys(profile);
+        nodeTypes.sort((a, b) => profile[b] - profile[a]);
+
+        let lines = nodeTypes.map(
+            nodeType => `${nodeType.padEnd(10)} ${(100 * profile[nodeType]).toFixed(1)}%`
+        );
+
+        this.profileDiv.textContent = lines.join('\n') || 'No stateful nodes';
+    }
+}
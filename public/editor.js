@@ -1,10 +1,11 @@
-import { assert, anyInputActive, makeSvg, setSvg, getBrightColor } from './utils.js';
+import { assert, anyInputActive, makeSvg, setSvg, getBrightColor, treeCopy } from './utils.js';
 import { Dialog, errorDialog } from './dialog.js';
 import { NODE_SCHEMA } from './model.js';
 import * as model from './model.js';
 import * as music from './music.js';
 import { midi } from './midi.js';
 import { Knob } from './knob.js';
+import * as library from './library.js';
 
 export class Editor
 {
@@ -33,6 +34,24 @@ export class Editor
         // Input field for the project title
         this.title = document.getElementById('project_title');
 
+        // Path of the module currently being edited
+        this.pathDiv = document.getElementById('module_path');
+
+        // List of module ids leading to the module currently being
+        // edited, starting from the top level of the project.
+        // When this list is empty, the top level is being edited.
+        this.modulePath = [];
+
+        // Pseudo-nodes representing the inputs and outputs of
+        // the module currently being edited
+        this.portNodes = [];
+
+        // Banner showing the latest compilation error
+        this.errorDiv = document.getElementById('compile_error');
+
+        // Latest compilation error, null if the project compiled
+        this.compileError = null;
+
         // Group selection div
         this.selectDiv = null;
 
@@ -63,6 +82,10 @@ export class Editor
         this.title.onclick = (evt) => evt.stopPropagation();
         this.title.onchange = titleChange.bind(this);
 
+        this.pathDiv.onpointerdown = (evt) => evt.stopPropagation();
+        this.pathDiv.onpointerup = (evt) => evt.stopPropagation();
+        this.pathDiv.onclick = (evt) => evt.stopPropagation();
+
         // Mouse down callback
         function onPointerDown(evt)
         {
@@ -187,9 +210,34 @@ export class Editor
             }
         }
 
-        // Ignore note on messages
+        // Show the MIDI input received by nodes that are on screen
         if (action instanceof model.NoteOn)
         {
+            if (node)
+                node.showNote(action.noteNo, action.velocity);
+            return;
+        }
+
+        if (action instanceof model.MidiClock)
+        {
+            if (node)
+                node.showClock(action.event, action.songPos);
+            return;
+        }
+
+        // Ignore other MIDI messages and CPU usage reports
+        if (action instanceof model.NoteOut ||
+            action instanceof model.MidiExpression ||
+            action instanceof model.SetProfiling ||
+            action instanceof model.SetCpuLoad)
+        {
+            return;
+        }
+
+        // Show or clear compilation errors
+        if (action instanceof model.SetCompileError)
+        {
+            this.showCompileError(action.error);
             return;
         }
 
@@ -198,11 +246,13 @@ export class Editor
         {
             if (action.paramName == "value")
             {
-                node.setValue(action.value);
+                if (node)
+                    node.setValue(action.value);
                 return;
             }
 
-            if (action.paramName == 'deviceId' || action.paramName == 'controlId')
+            // The swing selection box already shows the new value
+            if (action.paramName == 'deviceId' || action.paramName == 'controlId' || action.paramName == 'swing')
             {
                 return;
             }
@@ -211,9 +261,13 @@ export class Editor
             // recreate the UI nodes
         }
 
-        // Toggle grid sequencer cell on/off
-        if (action instanceof model.ToggleCell)
+        // Toggle grid sequencer cell on/off, or set its values
+        if (action instanceof model.ToggleCell ||
+            action instanceof model.SetCell)
         {
+            if (!node)
+                return;
+
             node.setGridCell(
                 action.patIdx,
                 action.stepIdx,
@@ -227,6 +281,9 @@ export class Editor
         // Set current active step in a sequencer
         if (action instanceof model.SetCurStep)
         {
+            if (!node)
+                return;
+
             node.highlight(
                 action.stepIdx,
             );
@@ -237,7 +294,9 @@ export class Editor
         // Queue the next pattern to play in a sequencer
         if (action instanceof model.QueuePattern)
         {
-            let nodeState = newState.nodes[action.nodeId];
+            if (!node)
+                return;
+
             node.queuePattern(
                 action.patIdx
             );
@@ -248,7 +307,10 @@ export class Editor
         // Set current active pattern in a sequencer
         if (action instanceof model.SetPattern)
         {
-            let nodeState = newState.nodes[action.nodeId];
+            if (!node)
+                return;
+
+            let nodeState = this.model.getNodeState(action.nodeId);
             node.setPattern(
                 action.patIdx,
                 nodeState
@@ -260,7 +322,10 @@ export class Editor
         // Send audio samples to a UI node
         if (action instanceof model.SendSamples)
         {
-            let nodeState = newState.nodes[action.nodeId];
+            if (!node)
+                return;
+
+            let nodeState = this.model.getNodeState(action.nodeId);
             node.redraw(
                 nodeState.params.minVal,
                 nodeState.params.maxVal,
@@ -273,7 +338,8 @@ export class Editor
         // Send a clock pulse to a clock output node
         if (action instanceof model.ClockPulse)
         {
-            node.clockPulse(action.time);
+            if (node)
+                node.clockPulse(action.time);
             return;
         }
 
@@ -284,6 +350,18 @@ export class Editor
             this.selected = action.pastedIds;
         }
 
+        // If a new project was loaded, go back to the top level
+        if (!action)
+        {
+            this.modulePath = [];
+        }
+
+        this.render(newState);
+    }
+
+    // Recreate the UI nodes and edges for the graph being edited
+    render(newState)
+    {
         console.log('recreating UI nodes');
 
         // Release resource for all UI nodes
@@ -299,48 +377,78 @@ export class Editor
         while (this.svg.firstChild)
             this.svg.removeChild(this.svg.firstChild);
         this.nodes.clear();
+        this.portNodes = [];
+
+        // Get the graph currently being edited, which
+        // is either the project or a module
+        let graph = this.getGraph(newState);
 
         // Show/hide node creation instructions
-        let graphEmpty = (Object.keys(newState.nodes).length == 0);
+        let graphEmpty = (Object.keys(graph.nodes).length == 0);
         this.bgText.style.display = graphEmpty? 'block':'none';
 
         // Set the project title
         this.title.value = newState.title;
 
+        // Show the path to the module being edited, if any
+        this.updatePath(newState);
+
         // Create the nodes
-        for (let nodeId in newState.nodes)
+        for (let nodeId in graph.nodes)
         {
-            let nodeState = newState.nodes[nodeId];
+            let nodeState = graph.nodes[nodeId];
             let nodeClass = (nodeState.type in NODE_CLASSES)? NODE_CLASSES[nodeState.type]:UINode;
             let node = new nodeClass(nodeId, nodeState, this);
             this.nodes.set(nodeId, node);
             this.graphDiv.appendChild(node.nodeDiv);
         }
 
+        // If editing a module, create nodes for its inputs and outputs
+        if (graph.type == 'Module')
+        {
+            this.genPortNodes(graph);
+        }
+
         // For each node
-        for (let dstId in newState.nodes)
+        for (let dstId in graph.nodes)
         {
-            let dstState = newState.nodes[dstId];
+            let dstState = graph.nodes[dstId];
             let dstNode = this.nodes.get(dstId);
 
             // For each input-side connection
             for (let dstPort in dstState.ins)
             {
-                if (!dstState.ins[dstPort])
+                let srcPort = dstState.ins[dstPort];
+
+                if (srcPort === null || srcPort === undefined)
+                    continue;
+
+                // Connections coming from outside of a module are
+                // encoded as indices into the module's inputs
+                if (typeof srcPort == 'number')
+                {
+                    this.genEdge(this.portNodes[0], srcPort, dstNode, dstPort);
                     continue;
+                }
 
-                let [srcId, srcPort] = dstState.ins[dstPort];
+                let srcId = srcPort[0];
                 assert (typeof srcId == 'string');
                 assert (this.nodes.has(srcId));
-                let srcNode = this.nodes.get(srcId);
+                this.genEdge(this.nodes.get(srcId), srcPort[1], dstNode, dstPort);
+            }
+        }
 
-                let [sx, sy] = srcNode.getPortPos(srcPort, 'src');
-                let [dx, dy] = dstNode.getPortPos(dstPort, 'dst');
+        // Connect the outputs of the module being edited
+        if (graph.type == 'Module')
+        {
+            for (let outIdx = 0; outIdx < graph.outs.length; ++outIdx)
+            {
+                if (!graph.outs[outIdx])
+                    continue;
 
-                let edge = new Edge();
-                edge.setSrc(srcNode, srcPort, sx, sy);
-                edge.setDst(dstNode, dstPort, dx, dy);
-                this.svg.appendChild(edge.line);
+                let [srcId, srcPort] = graph.outs[outIdx];
+                assert (this.nodes.has(srcId));
+                this.genEdge(this.nodes.get(srcId), srcPort, this.portNodes[1], outIdx);
             }
         }
 
@@ -352,10 +460,183 @@ export class Editor
         // Highlight selected nodes
         this.selectNodes(this.selected);
 
+        // Highlight the node causing a compilation error, if any
+        this.showCompileError(this.compileError);
+
         // Resize the editor to fit all the nodes
         this.resize();
     }
 
+    // Show a compilation error, or hide it if the error is null
+    showCompileError(error)
+    {
+        this.compileError = error;
+
+        for (let node of this.nodes.values())
+            node.nodeDiv.classList.remove('node_error');
+
+        if (!error)
+        {
+            this.errorDiv.style.display = 'none';
+            return;
+        }
+
+        this.errorDiv.textContent = 'Error: ' + error.message;
+        this.errorDiv.style.display = 'block';
+
+        if (error.nodeId === null)
+            return;
+
+        // Highlight the offending node, or the module containing it
+        for (let [nodeId, node] of this.nodes)
+        {
+            let nodeState = this.model.getNodeState(nodeId);
+
+            if (nodeId == error.nodeId ||
+                (nodeState.type == 'Module' && moduleContains(nodeState, error.nodeId)))
+            {
+                node.nodeDiv.classList.add('node_error');
+            }
+        }
+    }
+
+    // Get the id of the module currently being edited, if any
+    get moduleId()
+    {
+        if (this.modulePath.length == 0)
+            return null;
+
+        return this.modulePath[this.modulePath.length - 1];
+    }
+
+    // Get the graph currently being edited, which is either the
+    // project state or a module node
+    getGraph(state)
+    {
+        let graph = state;
+
+        for (let depth = 0; depth < this.modulePath.length; ++depth)
+        {
+            let module = graph.nodes[this.modulePath[depth]];
+
+            // If the module no longer exists, for example
+            // after an undo, go back to its parent graph
+            if (!module || module.type != 'Module')
+            {
+                this.modulePath = this.modulePath.slice(0, depth);
+                break;
+            }
+
+            graph = module;
+        }
+
+        return graph;
+    }
+
+    // Open a module for editing
+    openModule(moduleId)
+    {
+        console.log(`opening module ${moduleId}`);
+
+        this.modulePath.push(moduleId);
+        this.selected = [];
+        this.render(this.model.state);
+    }
+
+    // Go back to editing the graph at a given depth
+    // in the module path, where 0 is the top level
+    closeModules(depth)
+    {
+        this.modulePath = this.modulePath.slice(0, depth);
+        this.selected = [];
+        this.render(this.model.state);
+    }
+
+    // Update the display of the path to the module being edited
+    updatePath(state)
+    {
+        while (this.pathDiv.firstChild)
+            this.pathDiv.removeChild(this.pathDiv.firstChild);
+
+        // Only visible while editing a module
+        this.pathDiv.style.display = this.modulePath.length? 'block':'none';
+
+        let names = ['Project'];
+        let graph = state;
+        for (let moduleId of this.modulePath)
+        {
+            graph = graph.nodes[moduleId];
+            names.push(graph.name);
+        }
+
+        for (let depth = 0; depth < names.length; ++depth)
+        {
+            if (depth > 0)
+                this.pathDiv.appendChild(document.createTextNode(' / '));
+
+            let link = document.createElement('span');
+            link.className = 'module_path_link';
+            link.textContent = names[depth];
+            link.onclick = (evt) => this.closeModules(depth);
+            this.pathDiv.appendChild(link);
+        }
+
+        // Link to save the module being edited to the module library
+        if (this.modulePath.length)
+        {
+            let link = document.createElement('span');
+            link.className = 'module_path_link';
+            link.textContent = ' [save to library]';
+            link.onclick = (evt) => library.saveModule(this.model, this.moduleId);
+            this.pathDiv.appendChild(link);
+        }
+    }
+
+    // Create pseudo-nodes for the inputs and outputs of a module
+    genPortNodes(module)
+    {
+        let inNode = new ModulePorts(this.moduleId, module, 'src', this);
+        let outNode = new ModulePorts(this.moduleId, module, 'dst', this);
+        this.portNodes = [inNode, outNode];
+        this.graphDiv.appendChild(inNode.nodeDiv);
+        this.graphDiv.appendChild(outNode.nodeDiv);
+
+        // Compute the bounding box of the nodes inside the module
+        let xMin = Infinity;
+        let yMin = Infinity;
+        let xMax = -Infinity;
+        for (let node of this.nodes.values())
+        {
+            xMin = Math.min(xMin, node.x);
+            yMin = Math.min(yMin, node.y);
+            xMax = Math.max(xMax, node.x + node.nodeDiv.offsetWidth);
+        }
+
+        if (this.nodes.size == 0)
+        {
+            xMin = 300;
+            yMin = 100;
+            xMax = 300;
+        }
+
+        // Place the inputs left of the nodes, and the outputs to the right
+        let inX = Math.max(model.EDGE_PADDING, xMin - inNode.nodeDiv.offsetWidth - 80);
+        inNode.move(inX - inNode.x, yMin - inNode.y);
+        outNode.move(xMax + 80 - outNode.x, yMin - outNode.y);
+    }
+
+    // Create a visible edge between two UI nodes
+    genEdge(srcNode, srcPort, dstNode, dstPort)
+    {
+        let [sx, sy] = srcNode.getPortPos(srcPort, 'src');
+        let [dx, dy] = dstNode.getPortPos(dstPort, 'dst');
+
+        let edge = new Edge();
+        edge.setSrc(srcNode, srcPort, sx, sy);
+        edge.setDst(dstNode, dstPort, dx, dy);
+        this.svg.appendChild(edge.line);
+    }
+
     // Start a selection or update an in progress selection
     updateSelect(startPos, curPos)
     {
@@ -458,8 +739,8 @@ export class Editor
         let maxWidth = this.editorDiv.scrollWidth;
         let maxHeight = this.editorDiv.scrollHeight;
 
-        // For each node
-        for (let [nodeId, node] of this.nodes)
+        // For each node, including module port nodes
+        for (let node of [...this.nodes.values(), ...this.portNodes])
         {
             maxWidth = Math.max(
                 maxWidth,
@@ -520,33 +801,70 @@ export class Editor
                 this.model.update(new model.CreateNode(
                     nodeType,
                     mousePos.x,
-                    mousePos.y
+                    mousePos.y,
+                    this.moduleId
                 ));
             }
 
-            // TODO: migrate style to CSS
             var subDiv = document.createElement('div');
+            subDiv.className = 'node_type_btn';
             subDiv.title = schema.description;
-            subDiv.style.border = "2px solid #AAA";
-            subDiv.style.display = 'inline-block';
-            subDiv.style.color = '#FFF';
-            subDiv.style['text-align'] = 'center';
-            subDiv.style['user-select'] = 'none';
-            subDiv.style.width = '100px';
-            subDiv.style.margin = '4px';
             subDiv.appendChild(document.createTextNode(nodeType));
             subDiv.onclick = subDivClick.bind(this);
 
-            // There can be only one AudioOut or Notes node
-            if (schema.unique && this.model.hasNode(nodeType))
+            // There can be only one AudioOut or Notes node,
+            // and these can't be placed inside of modules
+            if (schema.unique && (this.moduleId || this.model.hasNode(nodeType)))
             {
-                subDiv.style.color = '#777';
-                subDiv.style.border = '2px solid #777';
+                subDiv.classList.add('disabled');
                 subDiv.onclick = undefined;
             }
 
             dialog.appendChild(subDiv);
         }
+
+        // Display the modules saved in the module library
+        let modules = library.getModules();
+
+        if (Object.keys(modules).length == 0)
+            return;
+
+        let titleDiv = document.createElement('div');
+        titleDiv.className = 'dialog_title';
+        titleDiv.textContent = 'Module Library';
+        dialog.appendChild(titleDiv);
+
+        for (let name in modules)
+        {
+            function subDivClick(evt)
+            {
+                dialog.close();
+                evt.stopPropagation();
+
+                // Shift+click removes the module from the library
+                if (evt.shiftKey)
+                {
+                    library.removeModule(name);
+                    return;
+                }
+
+                // Modules are instantiated the same way as pasted nodes,
+                // which remaps the node ids inside of the module
+                this.model.update(new model.Paste(
+                    treeCopy(modules[name]),
+                    mousePos.x,
+                    mousePos.y,
+                    this.moduleId
+                ));
+            }
+
+            var subDiv = document.createElement('div');
+            subDiv.className = 'node_type_btn library_module';
+            subDiv.title = 'Shift+click to remove from the library';
+            subDiv.appendChild(document.createTextNode(name));
+            subDiv.onclick = subDivClick.bind(this);
+            dialog.appendChild(subDiv);
+        }
     }
 
     // Start dragging/moving nodes
@@ -673,6 +991,19 @@ export class Editor
             this.selected
         ));
     }
+
+    // Ungroup the currently selected modules
+    ungroupSelected()
+    {
+        for (let nodeId of this.selected)
+        {
+            let node = this.nodes.get(nodeId);
+            if (node.nodeType != 'Module')
+                continue;
+
+            this.model.update(new model.UngroupNodes(nodeId));
+        }
+    }
 }
 
 /**
@@ -921,7 +1252,8 @@ class UINode
     }
 
     /**
-     * Generate model.ConnectNodes instance
+     * Generate the action to connect the edge in progress to a port
+     * Returns null if the connection isn't possible
      */
     generateConnectAction(side, portIdx)
     {
@@ -929,24 +1261,32 @@ class UINode
 
         if (side == 'dst')
         {
-            return new model.ConnectNodes(
-                editor.edge.srcNode.nodeId,
+            return connectAction(
+                editor.edge.srcNode,
                 editor.edge.srcPort,
-                this.nodeId,
+                this,
                 portIdx
             );
         }
         else
         {
-            return new model.ConnectNodes(
-                this.nodeId,
+            return connectAction(
+                this,
                 portIdx,
-                editor.edge.dstNode.nodeId,
+                editor.edge.dstNode,
                 editor.edge.dstPort
             );
         }
     }
 
+    /**
+     * Generate the action to remove the connection on an input port
+     */
+    generateDisconnectAction(portIdx)
+    {
+        return new model.Disconnect(this.nodeId, portIdx);
+    }
+
     /**
      * Setup DOM elements for this node
      */
@@ -1036,7 +1376,14 @@ class UINode
             );
         }
 
-        // Create the source (output) ports
+        this.genOutPortsDOM(outPortsDiv, state);
+    }
+
+    /**
+     * Create the source (output) ports
+     */
+    genOutPortsDOM(outPortsDiv, state)
+    {
         for (var portIdx = 0; portIdx < this.numOuts; ++portIdx)
         {
             this.genPortDOM(
@@ -1074,10 +1421,7 @@ class UINode
                 if (side == 'dst')
                 {
                     // Remove previous connection on this port, if any
-                    editor.model.update(new model.Disconnect(
-                        this.nodeId,
-                        portIdx,
-                    ));
+                    editor.model.update(this.generateDisconnectAction(portIdx));
 
                     edge.setDst(this, portIdx, cx, cy);
                 }
@@ -1100,6 +1444,11 @@ class UINode
 
             let connectAction = this.generateConnectAction(side, portIdx);
 
+            if (!connectAction)
+            {
+                return;
+            }
+
             if (editor.model.detectCycles(connectAction)) {
                 errorDialog('This connection would create a cycle in the node graph.');
                 return;
@@ -1204,6 +1553,18 @@ class UINode
             let name = document.createTextNode(param.name + ' ');
             paramDiv.appendChild(name);
 
+            // MIDI devices are chosen from the connected devices
+            if (param.deviceType)
+            {
+                paramDiv.appendChild(deviceSelect(
+                    param.deviceType,
+                    nodeState.params[param.name],
+                    deviceName => newParams[param.name] = deviceName
+                ));
+
+                continue;
+            }
+
             let input = document.createElement('input');
             input.type = 'text';
             input.size = 12;
@@ -1345,6 +1706,114 @@ class UINode
     }
 }
 
+/**
+ * Generate the action to connect two UI nodes, taking into
+ * account the input and output pseudo-nodes of modules
+ * Returns null if the connection isn't possible
+ */
+function connectAction(srcNode, srcPort, dstNode, dstPort)
+{
+    let srcIsModule = srcNode instanceof ModulePorts;
+    let dstIsModule = dstNode instanceof ModulePorts;
+
+    // Module inputs can't be connected directly to module outputs
+    if (srcIsModule && dstIsModule)
+        return null;
+
+    if (srcIsModule)
+    {
+        return new model.ConnectModuleIn(
+            srcNode.nodeId,
+            srcPort,
+            dstNode.nodeId,
+            dstPort
+        );
+    }
+
+    if (dstIsModule)
+    {
+        return new model.ConnectModuleOut(
+            srcNode.nodeId,
+            srcPort,
+            dstNode.nodeId,
+            dstPort
+        );
+    }
+
+    return new model.ConnectNodes(
+        srcNode.nodeId,
+        srcPort,
+        dstNode.nodeId,
+        dstPort
+    );
+}
+
+/**
+ * Check if a node is inside of a module, at any level of nesting
+ */
+function moduleContains(module, nodeId)
+{
+    for (let id in module.nodes)
+    {
+        if (id == nodeId)
+            return true;
+
+        let node = module.nodes[id];
+        if (node.type == 'Module' && moduleContains(node, nodeId))
+            return true;
+    }
+
+    return false;
+}
+
+/**
+ * Pseudo-node showing the inputs or outputs of the module being edited
+ * The inputs of the module are output ports ('src' side) of this node,
+ * and the outputs of the module are input ports ('dst' side).
+ */
+class ModulePorts extends UINode
+{
+    constructor(moduleId, module, side, editor)
+    {
+        super(moduleId, {
+            type: module.type,
+            name: (side == 'src')? 'Inputs':'Outputs',
+            x: 0,
+            y: 0,
+            inNames: (side == 'dst')? module.outNames:[],
+            outNames: (side == 'src')? module.inNames:[],
+        }, editor);
+
+        // These nodes can't be selected, dragged or edited
+        this.nodeDiv.onpointerdown = evt => evt.stopPropagation();
+        this.nodeDiv.onpointerup = evt => evt.stopPropagation();
+        this.nodeDiv.ondblclick = undefined;
+        this.nodeDiv.classList.add('module_ports');
+    }
+
+    generateDisconnectAction(portIdx)
+    {
+        return new model.DisconnectModuleOut(this.nodeId, portIdx);
+    }
+}
+
+/**
+ * User-created module
+ * Double-clicking the module opens it for editing
+ */
+class ModuleNode extends UINode
+{
+    constructor(id, state, editor)
+    {
+        super(id, state, editor);
+
+        this.nodeDiv.ondblclick = (evt) => {
+            evt.stopPropagation();
+            this.editor.openModule(this.nodeId);
+        };
+    }
+}
+
 /**
  * Clock signal divider
  */
@@ -1384,9 +1853,54 @@ class ClockDiv extends UINode
         select.onchange = factorChange.bind(this);
         select.onpointerdown = evt => evt.stopPropagation();
         select.onclick = evt => evt.stopPropagation();
+
+        // Delay of every other output tick
+        let swingSel = swingSelect(
+            state.params.swing,
+            swing => this.send(new model.SetParam(this.nodeId, 'swing', swing))
+        );
+        swingSel.style.display = 'block';
+        swingSel.style.margin = '0 auto 4px';
+
+        // Without division, the output ticks are too short to be delayed
+        swingSel.disabled = (state.params.factor == 1);
+        swingSel.onpointerdown = evt => evt.stopPropagation();
+        swingSel.onclick = evt => evt.stopPropagation();
+        this.centerDiv.append(swingSel);
     }
 }
 
+/**
+ * Create a selection box to choose the swing amount of a sequencer
+ * or clock divider, shown as the percentage of a step by which
+ * every other step is delayed
+ */
+function swingSelect(swing, onchange)
+{
+    let select = document.createElement('select');
+
+    let values = [];
+    for (let pct = 0; pct <= model.MAX_SWING * 100; pct += 5)
+        values.push(pct / 100);
+
+    // Keep the current amount as an option if it was typed in
+    if (!values.includes(swing))
+        values.push(swing);
+
+    for (let value of values.sort((a, b) => a - b))
+    {
+        let opt = document.createElement('option');
+        opt.setAttribute('value', value);
+        opt.appendChild(document.createTextNode(`swing ${Math.round(value * 100)}%`));
+        opt.selected = (value == swing);
+        select.appendChild(opt);
+    }
+
+    select.onchange = () => onchange(Number(select.value));
+
+    return select;
+}
+
 /**
  * Clock output
  */
@@ -1401,6 +1915,9 @@ class ClockOut extends UINode
 
         // Timestamp when the last pulse was sent
         this.lastSent = 0;
+
+        // MIDI device to send to, null for all devices
+        this.deviceName = state.params.deviceName;
     }
 
     destroy()
@@ -1422,7 +1939,7 @@ class ClockOut extends UINode
         assert (!isNaN(sendTime));
 
         // Broadcast a clock pulse
-        midi.broadcast([0xF8], sendTime);
+        midi.send(this.deviceName, [0xF8], sendTime);
 
         this.lastTime = pulseTime;
         this.lastSent = sendTime;
@@ -1431,7 +1948,7 @@ class ClockOut extends UINode
     startPlayback()
     {
         // Send a MIDI start message
-        midi.broadcast([0xFA]);
+        midi.send(this.deviceName, [0xFA]);
 
         this.lastTime = 0;
         this.lastSent = 0;
@@ -1440,7 +1957,7 @@ class ClockOut extends UINode
     stopPlayback()
     {
         // Send a MIDI stop message
-        midi.broadcast([0xFC]);
+        midi.send(this.deviceName, [0xFC]);
 
         this.lastTime = 0;
         this.lastSent = 0;
@@ -1589,6 +2106,51 @@ class ClockNode extends KnobNode
     }
 }
 
+/**
+ * Clock input following an external MIDI clock
+ */
+class MidiClockIn extends UINode
+{
+    constructor(id, state, editor)
+    {
+        super(id, state, editor);
+
+        // Light blinking on every beat
+        this.lightDiv = document.createElement('div');
+        this.lightDiv.className = 'node_light';
+        this.centerDiv.appendChild(this.lightDiv);
+
+        // Number of ticks received since the last beat
+        this.tickCnt = 0;
+    }
+
+    /**
+     * Show a clock or transport message received by this node
+     */
+    showClock(event, songPos)
+    {
+        switch (event)
+        {
+            case 'tick':
+            this.tickCnt = (this.tickCnt + 1) % music.CLOCK_PPQ;
+            this.lightDiv.classList.toggle('on', this.tickCnt < music.CLOCK_PPQ / 4);
+            break;
+
+            case 'start':
+            this.tickCnt = music.CLOCK_PPQ - 1;
+            break;
+
+            case 'stop':
+            this.lightDiv.classList.remove('on');
+            break;
+
+            case 'position':
+            this.tickCnt = (songPos * music.CLOCK_PPS + music.CLOCK_PPQ - 1) % music.CLOCK_PPQ;
+            break;
+        }
+    }
+}
+
 /**
 Keep track of the currently active keys on a musical keyboard
 */
@@ -1600,23 +2162,55 @@ class MidiIn extends UINode
 
         // Blinking activity light
         this.lightDiv = document.createElement('div');
-        this.lightDiv.style.width = 6;
-        this.lightDiv.style.height = 6;
-        this.lightDiv.style.background = '#333';
-        this.lightDiv.style['margin-top'] = 6;
+        this.lightDiv.className = 'node_light';
         this.centerDiv.appendChild(this.lightDiv);
 
+        // Number of voices and voice stealing mode selection boxes
+        let voiceDiv = document.createElement('div');
+        voiceDiv.style['margin-top'] = 4;
+        this.centerDiv.appendChild(voiceDiv);
+
+        let selectVoices = document.createElement('select');
+        selectVoices.title = 'number of voices';
+        selectVoices.onpointerdown = evt => evt.stopPropagation();
+        selectVoices.onchange = () => this.send(new model.SetNumVoices(this.nodeId, Number(selectVoices.value)));
+        voiceDiv.appendChild(selectVoices);
+
+        for (let numVoices = 1; numVoices <= model.MAX_VOICES; ++numVoices)
+        {
+            let opt = document.createElement('option');
+            opt.setAttribute('value', numVoices);
+            opt.appendChild(document.createTextNode(numVoices));
+            opt.selected = (numVoices == state.numVoices);
+            selectVoices.appendChild(opt);
+        }
+
+        // Voice stealing only matters with multiple voices
+        if (state.numVoices > 1)
+        {
+            let selectSteal = document.createElement('select');
+            selectSteal.title = 'note cut when all voices are in use';
+            selectSteal.onpointerdown = evt => evt.stopPropagation();
+            selectSteal.onchange = () => this.send(new model.SetStealMode(this.nodeId, selectSteal.value));
+            voiceDiv.appendChild(selectSteal);
+
+            for (let stealMode of model.STEAL_MODES)
+            {
+                let opt = document.createElement('option');
+                opt.setAttribute('value', stealMode);
+                opt.appendChild(document.createTextNode(stealMode));
+                opt.selected = (stealMode == state.stealMode);
+                selectSteal.appendChild(opt);
+            }
+        }
+
         // Notes that are currently on
         this.notesOn = new Set();
 
         // Current octave number for keyboard input
         this.octaveNo = state.params.octaveNo;
 
-        // Current MIDI channel number
-        this.chanNo = state.params.chanNo;
-
         this.attachKeyboard();
-        this.attachMidi();
     }
 
     destroy()
@@ -1624,7 +2218,6 @@ class MidiIn extends UINode
         // Unregister global callbacks
         window.removeEventListener('keydown', this.keyDownCb);
         window.removeEventListener('keyup', this.keyUpCb);
-        midi.removeListener('midimessage', this.midiCb);
     }
 
     /**
@@ -1641,17 +2234,23 @@ class MidiIn extends UINode
             console.log('note on:', noteNo);
             this.send(new model.NoteOn(this.nodeId, noteNo, vel));
             this.notesOn.add(noteNo);
-            this.lightDiv.style.background = '#F00';
         }
         else
         {
             console.log('note off:', noteNo);
             this.send(new model.NoteOn(this.nodeId, noteNo, 0));
             this.notesOn.delete(noteNo);
-            this.lightDiv.style.background = '#333';
         }
     }
 
+    /**
+     * Show a note on or note off event received by this node
+     */
+    showNote(noteNo, vel)
+    {
+        this.lightDiv.classList.toggle('on', vel > 0);
+    }
+
     /**
      * Register keyboard input callback
      */
@@ -1735,47 +2334,42 @@ class MidiIn extends UINode
         window.addEventListener('keydown', this.keyDownCb);
         window.addEventListener('keyup', this.keyUpCb);
     }
+}
 
-    /**
-     * Register MIDI callbacks
-     */
-    attachMidi()
-    {
-        function inputCb(device, msg)
-        {
-            let msgType = msg[0] & 0xF0;
-            let inChan = (msg[0] & 0x0F) + 1;
-
-            // If we're only receiving from a specific MIDI channel
-            // and the input channel doesn't match, reject this message
-            if (this.chanNo && inChan != this.chanNo)
-            {
-                return;
-            }
+/**
+ * Create a selection box to choose a MIDI device by name
+ * The onchange callback receives null when any device is chosen
+ */
+function deviceSelect(deviceType, deviceName, onchange)
+{
+    let select = document.createElement('select');
 
-            // Note on
-            if (msgType == 0x90 && msg.length == 3)
-            {
-                let noteNo = msg[1];
-                let vel = msg[2];
-                this.noteOn(noteNo, vel);
-                return;
-            }
+    let deviceNames = midi.getDevices(deviceType);
 
-            // Note off
-            if (msgType == 0x80 && msg.length == 3)
-            {
-                let noteNo = msg[1];
-                this.noteOn(noteNo, 0);
-                return;
-            }
-        }
+    // Keep the current device as an option while it's disconnected
+    if (deviceName !== null && !deviceNames.includes(deviceName))
+        deviceNames.push(deviceName);
 
-        this.midiCb = inputCb.bind(this);
-        midi.on('midimessage', this.midiCb);
+    for (let name of [null, ...deviceNames])
+    {
+        let opt = document.createElement('option');
+        opt.setAttribute('value', name || '');
+        opt.appendChild(document.createTextNode(name || ((deviceType == 'input')? 'any device':'all devices')));
+        opt.selected = (name === deviceName);
+        select.appendChild(opt);
     }
+
+    select.onchange = () => onchange(select.value || null);
+
+    return select;
 }
 
+/**
+ * Edit mode of each sequencer, indexed by nodeId, so that it is
+ * kept when the sequencer nodes get recreated
+ */
+const editModes = new Map();
+
 /**
  * Parent class for grid sequencer nodes
  */
@@ -1863,6 +2457,60 @@ class Sequencer extends UINode
         // Divs for grid cells, indexed by pattern
         this.cellDivs = [];
 
+        // Step length and pattern length of the current pattern
+        let lenDiv = document.createElement('div');
+        lenDiv.className = 'seq_len';
+        div.appendChild(lenDiv);
+
+        lenDiv.appendChild(document.createTextNode('step\u00A0'));
+
+        this.stepLenSel = document.createElement('select');
+        this.stepLenSel.onchange = evt => this.send(new model.SetStepLen(
+            this.nodeId,
+            this.patIdx,
+            Number(this.stepLenSel.value)
+        ));
+        this.stepLenSel.onpointerdown = evt => evt.stopPropagation();
+        lenDiv.appendChild(this.stepLenSel);
+
+        for (let name in model.STEP_LENS)
+        {
+            let opt = document.createElement('option');
+            opt.setAttribute('value', model.STEP_LENS[name]);
+            opt.appendChild(document.createTextNode(name));
+            this.stepLenSel.appendChild(opt);
+        }
+
+        lenDiv.appendChild(document.createTextNode('\u00A0\u00A0steps\u00A0'));
+
+        // Any pattern length can be typed in, for odd meters
+        let lenInput = this.lenInput = document.createElement('input');
+        lenInput.type = 'number';
+        lenInput.min = 1;
+        lenInput.max = model.MAX_STEPS;
+        lenDiv.appendChild(lenInput);
+
+        lenInput.onchange = evt =>
+        {
+            let numSteps = Number(lenInput.value);
+            let grid = this.editor.model.getNodeState(this.nodeId).patterns[this.patIdx];
+
+            if (Number.isInteger(numSteps) && numSteps >= 1 && numSteps <= model.MAX_STEPS)
+                this.send(new model.SetPatternLength(this.nodeId, this.patIdx, numSteps));
+            else
+                lenInput.value = grid.length;
+        };
+
+        lenInput.onkeydown = evt =>
+        {
+            if (evt.key === 'Enter')
+                lenInput.blur();
+        };
+
+        lenInput.onpointerdown = evt => evt.stopPropagation();
+        lenInput.onclick = evt => evt.stopPropagation();
+        lenInput.ondblclick = evt => evt.stopPropagation();
+
         // Pattern selection block
         let selDiv = document.createElement('div');
         selDiv.style.display = 'flex';
@@ -1875,7 +2523,7 @@ class Sequencer extends UINode
         this.patBtns = []
 
         // Pattern selection bar
-        for (let i = 0; i < 8; ++i)
+        for (let i = 0; i < model.NUM_PATTERNS; ++i)
         {
             let patSel = document.createElement('div');
             patSel.className = 'patsel_btn';
@@ -1890,6 +2538,40 @@ class Sequencer extends UINode
             this.patBtns.push(patSel);
         }
 
+        // Clicking on cells toggles them on and off in the gate mode,
+        // and cycles through the values of cells that are on otherwise
+        let editMode = editModes.get(this.nodeId);
+        this.editMode = this.getEditModes().includes(editMode)? editMode:'gate';
+
+        // Selection of what clicking on grid cells edits
+        let selectMode = document.createElement('select');
+        selectMode.style['margin-left'] = 8;
+        selectMode.onchange = evt =>
+        {
+            this.editMode = selectMode.value;
+            editModes.set(this.nodeId, this.editMode);
+        };
+        selectMode.onpointerdown = evt => evt.stopPropagation();
+        selDiv.appendChild(selectMode);
+
+        for (let mode of this.getEditModes())
+        {
+            let opt = document.createElement('option');
+            opt.setAttribute('value', mode);
+            opt.appendChild(document.createTextNode(mode));
+            opt.selected = (mode == this.editMode);
+            selectMode.appendChild(opt);
+        }
+
+        // Delay of every other step
+        let swingSel = swingSelect(
+            state.params.swing,
+            swing => this.send(new model.SetParam(this.nodeId, 'swing', swing))
+        );
+        swingSel.style['margin-left'] = 4;
+        swingSel.onpointerdown = evt => evt.stopPropagation();
+        selDiv.appendChild(swingSel);
+
         // Currently active pattern
         this.patIdx = state.curPattern;
 
@@ -1911,6 +2593,14 @@ class Sequencer extends UINode
         throw Error('not implemented');
     }
 
+    /**
+     * Get the modes in which clicking on grid cells edits them
+     */
+    getEditModes()
+    {
+        return ['gate', 'vel', 'prob', 'ratchets'];
+    }
+
     /**
      * (Re)generate the grid DOM elements
      */
@@ -1925,6 +2615,11 @@ class Sequencer extends UINode
         let numRows = grid[0].length;
         assert (grid instanceof Array);
 
+        // Steps are grouped into beats and 4/4 bars
+        let stepLen = state.stepLens[patIdx];
+        let barLen = 4 * music.CLOCK_PPQ / stepLen;
+        let beatStart = i => (i * stepLen) % music.CLOCK_PPQ == 0;
+
         // Two-dimensional array of cell square divs (stepIdx, rowIdx)
         let cellDivs = this.cellDivs[patIdx] = [];
 
@@ -1941,8 +2636,8 @@ class Sequencer extends UINode
             cell.style['display'] = 'inline-block';
             cell.title = rowNames[j];
 
-            // 4-step beat separator
-            if (i % 4 == 0)
+            // Beat separator
+            if (beatStart(i))
             {
                 var sep = document.createElement('div');
                 sep.style['display'] = 'inline-block';
@@ -1953,10 +2648,11 @@ class Sequencer extends UINode
             // The inner div is the colored/highlighted element
             var inner = document.createElement('div');
             inner.className = cellOn? 'cell_on':'cell_off';
+            showCellAttrs(inner, cellOn);
             cell.appendChild(inner);
 
-            // 4-step beat separator
-            if (i % 4 == 3)
+            // Beat separator
+            if (beatStart(i + 1))
             {
                 var sep = document.createElement('div');
                 sep.style['display'] = 'inline-block';
@@ -1970,14 +2666,33 @@ class Sequencer extends UINode
             cell.onclick = (evt) =>
             {
                 console.log('clicked ' + i + ', ' + j);
-                this.send(new model.ToggleCell(
+                evt.stopPropagation();
+
+                if (this.editMode == 'gate')
+                {
+                    this.send(new model.ToggleCell(
+                        this.nodeId,
+                        patIdx,
+                        i,
+                        j
+                    ));
+
+                    return;
+                }
+
+                // Only cells that are on have values to edit
+                let node = this.editor.model.getNodeState(this.nodeId);
+                let value = node.patterns[patIdx][i][j];
+                if (!value)
+                    return;
+
+                this.send(new model.SetCell(
                     this.nodeId,
                     patIdx,
                     i,
-                    j
+                    j,
+                    nextCellAttrs(model.cellAttrs(value), this.editMode)
                 ));
-
-                evt.stopPropagation();
             };
 
             if (!(i in cellDivs))
@@ -1988,7 +2703,7 @@ class Sequencer extends UINode
             return cell;
         }
 
-        function makeBar(barIdx, barLen)
+        function makeBar(barIdx, numBarSteps)
         {
             var bar = document.createElement('div');
             bar.style['display'] = 'inline-block';
@@ -1998,9 +2713,9 @@ class Sequencer extends UINode
             {
                 var row = document.createElement('div');
 
-                for (var i = 0; i < barLen; ++i)
+                for (var i = 0; i < numBarSteps; ++i)
                 {
-                    var stepIdx = barIdx * 16 + i;
+                    var stepIdx = barIdx * barLen + i;
                     var cell = makeCell.call(this, stepIdx, numRows - j - 1);
                     row.appendChild(cell);
                 }
@@ -2021,7 +2736,7 @@ class Sequencer extends UINode
         this.gridDiv.appendChild(patDiv);
 
         // Compute the number of bars
-        var numBars = Math.ceil(numSteps / 16);
+        var numBars = Math.ceil(numSteps / barLen);
 
         // For each bar of the pattern
         for (var barIdx = 0; barIdx < numBars; ++barIdx)
@@ -2030,9 +2745,9 @@ class Sequencer extends UINode
             barDiv.style['display'] = 'inline-block';
             patDiv.appendChild(barDiv);
 
-            let lastBarLen = (numSteps % 16 == 0)? 16:(numSteps%16);
-            let barLen = (barIdx < numBars - 1)? 16:lastBarLen;
-            var bar = makeBar.call(this, barIdx, barLen);
+            let lastBarLen = (numSteps % barLen == 0)? barLen:(numSteps % barLen);
+            let numBarSteps = (barIdx < numBars - 1)? barLen:lastBarLen;
+            var bar = makeBar.call(this, barIdx, numBarSteps);
             barDiv.appendChild(bar);
 
             // If this is not the last bar, add a separator
@@ -2137,6 +2852,10 @@ class Sequencer extends UINode
             this.patBtns[i].className = (i == patIdx)? 'patsel_btn_on':'patsel_btn';
         }
 
+        // Show the step length and pattern length of this pattern
+        this.stepLenSel.value = state.stepLens[patIdx];
+        this.lenInput.value = state.patterns[patIdx].length;
+
         // Make the pattern visible, hide all other patterns
         for (let i = 0; i < this.gridDiv.children.length; ++i)
         {
@@ -2157,6 +2876,7 @@ class Sequencer extends UINode
         assert (rowIdx < row.length);
 
         row[rowIdx].className = value? 'cell_on':'cell_off';
+        showCellAttrs(row[rowIdx], value);
     }
 
     /**
@@ -2191,6 +2911,60 @@ class Sequencer extends UINode
     }
 }
 
+/**
+ * Show the velocity, trigger probability and ratchets
+ * of a sequencer cell on the div representing it
+ */
+function showCellAttrs(div, value)
+{
+    let { vel, prob, ratchets, accent, tie } = model.cellAttrs(value || 1);
+
+    // Softer notes are dimmer, notes which may not play are rounded,
+    // accented notes are outlined, and the number of ratchets is
+    // written on the cell, followed by a tilde for tied notes
+    div.style.opacity = 0.3 + 0.7 * vel;
+    div.style['border-radius'] = (prob < 1)? '5px':'0px';
+    div.style['box-shadow'] = accent? 'inset 0 0 0 2px #FF0':'none';
+    div.textContent = ((ratchets > 1)? String(ratchets):'') + (tie? '~':'');
+}
+
+/**
+ * Get the values of a sequencer cell after clicking on it
+ * in a given edit mode, cycling through the possible values
+ */
+function nextCellAttrs(attrs, editMode)
+{
+    let { vel, prob, ratchets, accent, tie } = attrs;
+
+    switch (editMode)
+    {
+        case 'vel':
+        vel = (vel > 0.25)? Math.ceil(vel * 4 - 1) / 4:1;
+        break;
+
+        case 'prob':
+        prob = (prob > 0.25)? Math.ceil(prob * 4 - 1) / 4:1;
+        break;
+
+        case 'ratchets':
+        ratchets = (ratchets < model.MAX_RATCHETS)? ratchets + 1:1;
+        break;
+
+        case 'accent':
+        accent = !accent;
+        break;
+
+        case 'tie':
+        tie = !tie;
+        break;
+
+        default:
+        assert (false);
+    }
+
+    return { vel, prob, ratchets, accent, tie };
+}
+
 /**
  * Monophonic step sequencer
  */
@@ -2270,6 +3044,15 @@ class MonoSeq extends Sequencer
         return scale.map(note => String(note));
     }
 
+    /**
+     * Get the modes in which clicking on grid cells edits them
+     */
+    getEditModes()
+    {
+        // Only monophonic sequencers can tie notes together
+        return [...Sequencer.prototype.getEditModes.call(this), 'accent', 'tie'];
+    }
+
     /**
      * Set a grid cell on or off
      */
@@ -2283,9 +3066,13 @@ class MonoSeq extends Sequencer
 
         // Clear all other cells in this row
         for (let i = 0; i < row.length; ++i)
+        {
             row[i].className = 'cell_off';
+            showCellAttrs(row[i], 0);
+        }
 
         row[rowIdx].className = value? 'cell_on':'cell_off';
+        showCellAttrs(row[rowIdx], value);
     }
 }
 
@@ -2329,7 +3116,29 @@ class GateSeq extends Sequencer
     {
         // The output names are reversed relative to
         // the internal grid ordering, in which row 0 is lowest
-        return state.outNames.slice(0).reverse();
+        return state.outNames.slice(0, state.numRows).reverse();
+    }
+
+    /**
+     * Create the source (output) ports, with the velocity outputs
+     * in a column next to the gate outputs, so that each column
+     * has one output per row of the grid
+     */
+    genOutPortsDOM(outPortsDiv, state)
+    {
+        outPortsDiv.classList.add('node_out_columns');
+
+        for (let colIdx = 0; colIdx < 2; ++colIdx)
+        {
+            let colDiv = document.createElement('div');
+            outPortsDiv.appendChild(colDiv);
+
+            for (let rowIdx = 0; rowIdx < state.numRows; ++rowIdx)
+            {
+                let portIdx = colIdx * state.numRows + rowIdx;
+                this.genPortDOM(colDiv, portIdx, state.outNames[portIdx], 'src');
+            }
+        }
     }
 }
 
@@ -2450,7 +3259,9 @@ const NODE_CLASSES =
     ClockOut: ClockOut,
     Const: ConstNode,
     Knob: KnobNode,
+    MidiClockIn: MidiClockIn,
     MidiIn: MidiIn,
+    Module: ModuleNode,
     MonoSeq: MonoSeq,
     GateSeq: GateSeq,
     Notes: Notes,
@@ -0,0 +1,277 @@
+import { Dialog } from './dialog.js';
+import { login, getSessionInfo } from './session.js';
+import { validateLibModule, MAX_NODE_NAME_LENGTH } from './model.js';
+
+/**
+ * Get the modules saved in the local module library
+ * Returns a map of module names to module data
+ */
+export function getModules()
+{
+    let libraryJson = localStorage.getItem('moduleLibrary');
+
+    if (!libraryJson)
+        return {};
+
+    try
+    {
+        return JSON.parse(libraryJson);
+    }
+    catch (e)
+    {
+        console.log(e);
+        return {};
+    }
+}
+
+/**
+ * Add a module to the local module library
+ * If a module with the same name exists, it gets replaced
+ */
+export function addModule(data)
+{
+    validateLibModule(data);
+
+    let module = Object.values(data.nodes)[0];
+    let modules = getModules();
+    modules[module.name] = data;
+    localStorage.setItem('moduleLibrary', JSON.stringify(modules));
+}
+
+/**
+ * Remove a module from the local module library
+ */
+export function removeModule(name)
+{
+    let modules = getModules();
+    delete modules[name];
+    localStorage.setItem('moduleLibrary', JSON.stringify(modules));
+}
+
+/**
+ * Show a dialog to save a module to the library
+ */
+export function saveModule(model, moduleId)
+{
+    // Copy the module the same way it would be copied to the clipboard
+    let data = model.copy([moduleId]);
+    let module = data.nodes[moduleId];
+
+    let dialog = new Dialog('Save Module to Library');
+
+    dialog.paragraph(
+        'Modules saved to your library can be created from the node creation ' +
+        'menu in any project. Sharing a module makes it available to be ' +
+        'imported by other people using its URL.'
+    );
+
+    var paramDiv = document.createElement('div');
+    paramDiv.className = 'form_div';
+    let nameElem = document.createElement('input');
+    nameElem.type = 'text';
+    nameElem.size = 14;
+    nameElem.maxLength = MAX_NODE_NAME_LENGTH;
+    nameElem.value = module.name;
+    paramDiv.appendChild(document.createTextNode('Module name '));
+    paramDiv.appendChild(nameElem);
+    dialog.appendChild(paramDiv);
+
+    var paramDiv = document.createElement('div');
+    paramDiv.className = 'form_div';
+    let shareElem = document.createElement('input');
+    shareElem.type = 'checkbox';
+    paramDiv.appendChild(shareElem);
+    paramDiv.appendChild(document.createTextNode(' Also share this module online'));
+    dialog.appendChild(paramDiv);
+
+    var saveBtn = document.createElement('button');
+    saveBtn.className = 'form_btn';
+    saveBtn.appendChild(document.createTextNode('Save'));
+    dialog.appendChild(saveBtn);
+
+    var cancelBtn = document.createElement('button');
+    cancelBtn.className = 'form_btn';
+    cancelBtn.appendChild(document.createTextNode('Cancel'));
+    cancelBtn.onclick = evt => dialog.close();
+    dialog.appendChild(cancelBtn);
+
+    saveBtn.onclick = async function ()
+    {
+        if (!nameElem.value)
+        {
+            dialog.showError('Choose a name for your module');
+            return;
+        }
+
+        module.name = nameElem.value;
+
+        try
+        {
+            addModule(data);
+        }
+        catch (e)
+        {
+            console.log(e);
+            dialog.showError('Failed to save module');
+            return;
+        }
+
+        if (!shareElem.checked)
+        {
+            dialog.close();
+            return;
+        }
+
+        try
+        {
+            // Have the user login/register first
+            let {userId, sessionId} = await login();
+
+            // Send a request to share the module
+            let moduleId = await shareRequest(userId, sessionId, module.name, JSON.stringify(data));
+
+            dialog.close();
+
+            // Show the shared module URL
+            showURL(moduleId);
+        }
+        catch (e)
+        {
+            console.log(e);
+            dialog.showError('Failed to share module');
+        }
+    }
+
+    // Save the module if enter is pressed
+    dialog.on('keydown', function (key)
+    {
+        if (key == "Enter")
+            saveBtn.onclick();
+    });
+}
+
+/**
+ * Send a request to share a module to the server
+ */
+async function shareRequest(userId, sessionId, name, data)
+{
+    var request = {
+        userId: userId,
+        sessionId: sessionId,
+        name: name,
+        data: data,
+    };
+
+    var json = JSON.stringify(request);
+
+    var xhr = new XMLHttpRequest()
+    xhr.open("POST", '/modules', true);
+    xhr.setRequestHeader("Content-Type", "application/json");
+
+    return new Promise((resolve, reject) => {
+        // Request response handler
+        xhr.onreadystatechange = function()
+        {
+            if (this.readyState == 4 && this.status == 201)
+            {
+                var resp = JSON.parse(this.responseText);
+                resolve(resp.moduleId);
+            }
+
+            if (this.readyState == 4 && this.status == 400)
+            {
+                reject('server rejected share request');
+            }
+        };
+
+        xhr.send(json);
+    });
+}
+
+/**
+ * Show the URL for a module that was just shared
+ */
+function showURL(moduleId)
+{
+    let dialog = new Dialog('Sharing Successful');
+
+    dialog.paragraph(
+        'Your module can be imported into the library of ' +
+        'other users with the following URL:'
+    );
+
+    let url = window.location.origin + '/?module=' + moduleId;
+
+    var urlDiv = document.createElement('div');
+    urlDiv.className = 'form_div';
+    let urlElem = document.createElement('input');
+    urlElem.type = 'text';
+    urlElem.size = 35;
+    urlElem.value = url;
+    urlDiv.appendChild(urlElem);
+    dialog.appendChild(urlDiv);
+
+    var okBtn = document.createElement('button');
+    okBtn.className = 'form_btn';
+    okBtn.appendChild(document.createTextNode('OK'));
+    okBtn.onclick = evt => dialog.close();
+    dialog.appendChild(okBtn);
+}
+
+/**
+ * Send a GET request to the server and parse the JSON response
+ */
+async function getRequest(url)
+{
+    var xhr = new XMLHttpRequest()
+    xhr.open("GET", url, true);
+    xhr.setRequestHeader("Content-Type", "application/json");
+
+    return new Promise((resolve, reject) => {
+        // Request response handler
+        xhr.onreadystatechange = function()
+        {
+            if (this.readyState == 4 && this.status == 200)
+            {
+                resolve(JSON.parse(this.responseText));
+            }
+
+            if (this.readyState == 4 && this.status != 200)
+            {
+                reject(`request to ${url} failed`);
+            }
+        };
+
+        xhr.send();
+    });
+}
+
+/**
+ * Download a shared module and add it to the local library
+ */
+export async function importModule(moduleId)
+{
+    let resp = await getRequest('/modules/' + moduleId);
+    addModule(JSON.parse(resp.data));
+}
+
+/**
+ * Add the modules shared by the logged in user to the local library
+ */
+export async function syncModules()
+{
+    let session = getSessionInfo();
+
+    if (!session)
+        return;
+
+    let rows = await getRequest('/modules/user/' + session.userId);
+
+    for (let row of rows)
+    {
+        if (row.name in getModules())
+            continue;
+
+        await importModule(row.id);
+    }
+}
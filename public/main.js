@@ -1,11 +1,19 @@
-import { anyInputActive } from './utils.js';
+import { anyInputActive, isNonNegInt, randInt } from './utils.js';
 import { Dialog, errorDialog } from './dialog.js';
-import { Model, Paste, Play, Stop } from './model.js';
+import { Model, Paste, Play, Stop, SetSeed, MAX_SEED } from './model.js';
+import { compile, CompileError } from './compiler.js';
 import { Editor } from './editor.js';
 import { AudioView } from './audioview.js';
 import { TitleView } from './titleview.js';
+import { CpuMeter } from './cpumeter.js';
+import { MidiInView } from './midiin.js';
+import { MidiOutView } from './midiout.js';
+import { ArrangementView } from './arrangement.js';
 import * as session from './session.js';
 import * as sharing from './sharing.js';
+import * as library from './library.js';
+import * as render from './render.js';
+import { midi } from './midi.js';
 
 // Project title input
 let inputProjectTitle = document.getElementById('project_title');
@@ -14,8 +22,13 @@ let inputProjectTitle = document.getElementById('project_title');
 let btnOpen = document.getElementById('btn_open');
 let btnSave = document.getElementById('btn_save');
 let btnShare = document.getElementById('btn_share');
+let btnExport = document.getElementById('btn_export');
+let btnSeed = document.getElementById('btn_seed');
+let btnMidi = document.getElementById('btn_midi');
+let btnSong = document.getElementById('btn_song');
 let btnPlay = document.getElementById('btn_play');
 let btnStop = document.getElementById('btn_stop');
+let btnRecord = document.getElementById('btn_record');
 
 // Project model/state
 let model = new Model();
@@ -29,6 +42,18 @@ let audioView = new AudioView(model);
 // View that updates the webpage title
 let titleView = new TitleView(model);
 
+// View showing the CPU load of the audio thread
+let cpuMeter = new CpuMeter(model);
+
+// View routing the input from MIDI devices to MidiIn and MidiClockIn nodes
+let midiInView = new MidiInView(model);
+
+// View sending the notes from MidiOut nodes to MIDI devices
+let midiOutView = new MidiOutView(model);
+
+// Song arrangement timeline
+let arrangementView = new ArrangementView(model);
+
 // Most recent location of a mouse or touch event
 let cursor = { x: 0, y: 0 };
 
@@ -36,6 +61,19 @@ document.body.onload = async function ()
 {
     //browserWarning();
 
+    // Add the modules shared by this user to the module library
+    library.syncModules().catch(e => console.log(e));
+
+    // If a shared module id was supplied, import it into the module library
+    let moduleId = new URLSearchParams(location.search).get('module');
+    if (moduleId)
+    {
+        library.importModule(moduleId).catch(e => console.log(e));
+
+        // Avoid importing the module again on refresh/reload
+        history.replaceState(null, null, location.pathname + location.hash);
+    }
+
     // Parse the projectId from the path
     let path = location.pathname;
     let projectId = parseInt(location.pathname.replace('/',''));
@@ -168,8 +206,25 @@ window.onkeydown = function (event)
             editor.selectAll();
         }
 
+        // Ctrl + Shift + D (show the compiled code, for debugging)
+        if (event.code == 'KeyD' && event.shiftKey)
+        {
+            event.preventDefault();
+            showCompiledCode();
+            return;
+        }
+
+        // Ctrl + Shift + G (ungroup nodes)
+        if (event.code == 'KeyG' && event.shiftKey)
+        {
+            console.log('ungroup nodes');
+            event.preventDefault();
+            editor.ungroupSelected();
+            return;
+        }
+
         // Ctrl + G (group nodes)
-        if (event.code == 'KeyG' && location.hostname == 'localhost')
+        if (event.code == 'KeyG')
         {
             console.log('group nodes');
             event.preventDefault();
@@ -226,7 +281,7 @@ document.onpaste = function (evt)
     {
         let clipData = evt.clipboardData.getData('text/plain');
         let nodeData = JSON.parse(clipData)
-        model.update(new Paste(nodeData, cursor.x, cursor.y));
+        model.update(new Paste(nodeData, cursor.x, cursor.y, editor.moduleId));
         evt.preventDefault();
     }
 
@@ -342,6 +397,255 @@ function saveModelFile()
     a.click();
 }
 
+function exportAudio()
+{
+    let dialog = new Dialog('Export Audio');
+
+    dialog.paragraph(
+        'Render the project to a stereo WAV file. Rendering happens faster ' +
+        'than real-time and does not require playback to be started.'
+    );
+
+    let tempo = render.getTempo(model.state);
+
+    var paramDiv = document.createElement('div');
+    paramDiv.className = 'form_div';
+    let lengthElem = document.createElement('input');
+    lengthElem.type = 'text';
+    lengthElem.size = 6;
+    lengthElem.value = tempo? '8':'30';
+    paramDiv.appendChild(document.createTextNode('Length '));
+    paramDiv.appendChild(lengthElem);
+    let unitElem = document.createElement('select');
+    unitElem.add(new Option('seconds', 'seconds'));
+    if (tempo)
+        unitElem.add(new Option(`bars at ${tempo} BPM`, 'bars', true, true));
+    paramDiv.appendChild(document.createTextNode(' '));
+    paramDiv.appendChild(unitElem);
+    dialog.appendChild(paramDiv);
+
+    var paramDiv = document.createElement('div');
+    paramDiv.className = 'form_div';
+    let formatElem = document.createElement('select');
+    formatElem.add(new Option('16-bit integer', 'int16'));
+    formatElem.add(new Option('24-bit integer', 'int24'));
+    formatElem.add(new Option('32-bit float', 'float32'));
+    paramDiv.appendChild(document.createTextNode('Sample format '));
+    paramDiv.appendChild(formatElem);
+    dialog.appendChild(paramDiv);
+
+    var paramDiv = document.createElement('div');
+    paramDiv.className = 'form_div';
+    let rateElem = document.createElement('select');
+    for (let rate of render.SAMPLE_RATES)
+        rateElem.add(new Option(`${rate} Hz`, rate));
+    paramDiv.appendChild(document.createTextNode('Sample rate '));
+    paramDiv.appendChild(rateElem);
+    dialog.appendChild(paramDiv);
+
+    var exportBtn = document.createElement('button');
+    exportBtn.className = 'form_btn';
+    exportBtn.appendChild(document.createTextNode('Export'));
+    dialog.appendChild(exportBtn);
+
+    var cancelBtn = document.createElement('button');
+    cancelBtn.className = 'form_btn';
+    cancelBtn.appendChild(document.createTextNode('Cancel'));
+    cancelBtn.onclick = evt => dialog.close();
+    dialog.appendChild(cancelBtn);
+
+    exportBtn.onclick = function ()
+    {
+        let length = Number(lengthElem.value);
+
+        if (!(length > 0) || length > 600)
+        {
+            dialog.showError('Invalid length');
+            return;
+        }
+
+        let seconds = length;
+        if (unitElem.value == 'bars')
+            seconds = render.barsToSeconds(length, tempo);
+
+        let sampleRate = Number(rateElem.value);
+        let numSamples = Math.ceil(seconds * sampleRate);
+
+        try
+        {
+            let { left, right } = render.renderProject(model.state, numSamples, sampleRate);
+            downloadWAV(left, right, sampleRate, formatElem.value);
+        }
+        catch (e)
+        {
+            console.log(e);
+            dialog.showError((e instanceof CompileError)? e.message:'Failed to render audio');
+            return;
+        }
+
+        dialog.close();
+    }
+}
+
+// Download audio samples as a WAV file
+function downloadWAV(left, right, sampleRate, format)
+{
+    let wavData = render.encodeWAV(left, right, sampleRate, format);
+
+    // Download the file the same way projects are saved
+    let a = document.createElement('a');
+    let fileName = `${inputProjectTitle.value || 'untitled_project'}.wav`;
+    a.download = fileName.toLowerCase().replace(/[^a-z0-9.]/gi, "_");
+    a.href = window.URL.createObjectURL(new Blob([wavData], {type: 'audio/wav'}));
+    a.click();
+}
+
+function editSeed()
+{
+    let dialog = new Dialog('Random Seed');
+
+    dialog.paragraph(
+        'Nodes that produce random values, such as Noise, use the ' +
+        'project seed so that the project sounds the same every time it ' +
+        'is played. Re-roll the seed to get a different random sequence.'
+    );
+
+    var paramDiv = document.createElement('div');
+    paramDiv.className = 'form_div';
+    let seedElem = document.createElement('input');
+    seedElem.type = 'text';
+    seedElem.size = 12;
+    seedElem.value = model.state.seed;
+    paramDiv.appendChild(document.createTextNode('Seed '));
+    paramDiv.appendChild(seedElem);
+    dialog.appendChild(paramDiv);
+
+    var rerollBtn = document.createElement('button');
+    rerollBtn.className = 'form_btn';
+    rerollBtn.appendChild(document.createTextNode('Re-roll'));
+    rerollBtn.onclick = evt => seedElem.value = randInt(0, MAX_SEED);
+    dialog.appendChild(rerollBtn);
+
+    var saveBtn = document.createElement('button');
+    saveBtn.className = 'form_btn';
+    saveBtn.appendChild(document.createTextNode('Save'));
+    dialog.appendChild(saveBtn);
+
+    var cancelBtn = document.createElement('button');
+    cancelBtn.className = 'form_btn';
+    cancelBtn.appendChild(document.createTextNode('Cancel'));
+    cancelBtn.onclick = evt => dialog.close();
+    dialog.appendChild(cancelBtn);
+
+    saveBtn.onclick = function ()
+    {
+        let seed = Number(seedElem.value);
+
+        if (!seedElem.value || !isNonNegInt(seed) || seed > MAX_SEED)
+        {
+            dialog.showError(`The seed must be an integer between 0 and ${MAX_SEED}`);
+            return;
+        }
+
+        if (seed != model.state.seed)
+            model.update(new SetSeed(seed));
+
+        dialog.close();
+    }
+
+    // Save the seed if enter is pressed
+    dialog.on('keydown', function (key)
+    {
+        if (key == "Enter")
+            saveBtn.onclick();
+    });
+}
+
+// Show a dialog to enable or disable MIDI devices
+function midiSettings()
+{
+    let dialog = new Dialog('MIDI Devices');
+
+    if (!midi.midiAccess)
+    {
+        dialog.paragraph(
+            'MIDI is not available. Your browser may not support MIDI, ' +
+            'or access to MIDI devices may have been denied.'
+        );
+    }
+    else
+    {
+        dialog.paragraph(
+            'Disabled devices are ignored by every node. Nodes that use MIDI ' +
+            'can also be set to use a single device by double-clicking on them.'
+        );
+
+        for (let [type, title] of [['input', 'Inputs'], ['output', 'Outputs']])
+        {
+            let titleDiv = document.createElement('div');
+            titleDiv.className = 'form_div';
+            titleDiv.appendChild(document.createTextNode(title));
+            dialog.appendChild(titleDiv);
+
+            let deviceNames = midi.getDevices(type);
+
+            if (deviceNames.length == 0)
+            {
+                let paramDiv = document.createElement('div');
+                paramDiv.className = 'form_div';
+                paramDiv.appendChild(document.createTextNode('No devices connected'));
+                dialog.appendChild(paramDiv);
+            }
+
+            for (let name of deviceNames)
+            {
+                let paramDiv = document.createElement('div');
+                paramDiv.className = 'form_div';
+                let checkElem = document.createElement('input');
+                checkElem.type = 'checkbox';
+                checkElem.checked = midi.isEnabled(type, name);
+                checkElem.onchange = evt => midi.setEnabled(type, name, checkElem.checked);
+                paramDiv.appendChild(checkElem);
+                paramDiv.appendChild(document.createTextNode(' ' + name));
+                dialog.appendChild(paramDiv);
+            }
+        }
+    }
+
+    var okBtn = document.createElement('button');
+    okBtn.className = 'form_btn';
+    okBtn.appendChild(document.createTextNode('OK'));
+    okBtn.onclick = evt => dialog.close();
+    dialog.appendChild(okBtn);
+}
+
+// Show the code the compiler generates for the project
+function showCompiledCode()
+{
+    let dialog = new Dialog('Compiled Code');
+
+    let src;
+    try
+    {
+        src = compile(model.state).src;
+    }
+    catch (e)
+    {
+        src = String(e);
+    }
+
+    let srcElem = document.createElement('pre');
+    srcElem.className = 'compiled_src';
+    srcElem.textContent = src;
+    dialog.appendChild(srcElem);
+
+    var okBtn = document.createElement('button');
+    okBtn.className = 'form_btn';
+    okBtn.appendChild(document.createTextNode('OK'));
+    okBtn.onclick = evt => dialog.close();
+    dialog.appendChild(okBtn);
+}
+
 function shareProject()
 {
     sharing.shareProject(model);
@@ -357,6 +661,7 @@ function startPlayback()
     // Hide the play button
     btnPlay.style.display = 'none';
     btnStop.style.display = 'inline-flex';
+    btnRecord.style.display = 'inline-flex';
 
     // Send the play action to the model
     model.update(new Play());
@@ -372,11 +677,51 @@ function stopPlayback()
     // Hide the stop button
     btnPlay.style.display = 'inline-flex';
     btnStop.style.display = 'none';
+    btnRecord.style.display = 'none';
+
+    // Finish the recording before the audio thread is stopped
+    if (audioView.recording)
+        stopRecording();
 
     // Send the stop action to the model
     model.update(new Stop());
 }
 
+function startRecording()
+{
+    if (!model.playing || audioView.recording)
+        return;
+
+    console.log('starting recording');
+
+    btnRecord.classList.add('recording');
+    audioView.startRecording();
+}
+
+async function stopRecording()
+{
+    // If the recording is already being stopped, it only gets saved once
+    let done = audioView.stopRecording();
+    if (!done)
+        return;
+
+    console.log('stopping recording');
+
+    btnRecord.classList.remove('recording');
+    let { sampleRate, left, right } = await done;
+
+    // Recordings are saved as floats so that no precision is lost
+    downloadWAV(left, right, sampleRate, 'float32');
+}
+
+function toggleRecording()
+{
+    if (audioView.recording)
+        stopRecording();
+    else
+        startRecording();
+}
+
 // Warn users that NoiseCraft works best in Chrome
 function browserWarning()
 {
@@ -425,5 +770,10 @@ function browserWarning()
 btnOpen.onclick = openModelFile;
 btnSave.onclick = saveModelFile;
 btnShare.onclick = shareProject;
+btnExport.onclick = exportAudio;
+btnSeed.onclick = editSeed;
+btnMidi.onclick = midiSettings;
+btnSong.onclick = () => arrangementView.toggle();
 btnPlay.onclick = startPlayback;
 btnStop.onclick = stopPlayback;
+btnRecord.onclick = toggleRecording;
@@ -8,6 +8,10 @@ class MIDI extends Eventable
 
         this.midiAccess = null;
 
+        // Names of the devices the user disabled, which persist
+        // across reloads because device ids may change
+        this.disabled = this.loadDisabled();
+
         // Try to get MIDI access
         this.getMIDIAccess();
     }
@@ -31,7 +35,7 @@ class MIDI extends Eventable
 
             console.log(input.name);
 
-            input.onmidimessage = this.makeMessageCb(input.id);
+            input.onmidimessage = this.makeMessageCb(input);
         }
 
         // Detect new devices being connected
@@ -41,17 +45,90 @@ class MIDI extends Eventable
             {
                 console.log('new device connected:', evt.port.name, evt.port.id);
 
-                evt.port.onmidimessage = this.makeMessageCb(evt.port.id);
+                evt.port.onmidimessage = this.makeMessageCb(evt.port);
             }
+
+            this.trigger('devicechange');
+        }
+    }
+
+    // Load the names of the disabled devices from local storage
+    loadDisabled()
+    {
+        let disabled = { input: [], output: [] };
+
+        try
+        {
+            let json = localStorage.getItem('midiDisabled');
+            if (json)
+                Object.assign(disabled, JSON.parse(json));
+        }
+        catch (e)
+        {
+            console.log(e);
         }
+
+        return disabled;
+    }
+
+    // Get the names of the connected input or output devices
+    getDevices(type)
+    {
+        if (!this.midiAccess)
+            return [];
+
+        let ports = (type == 'input')? this.midiAccess.inputs:this.midiAccess.outputs;
+        let names = [];
+
+        for (let port of ports.values())
+        {
+            if (port.state == "connected" && !names.includes(port.name))
+                names.push(port.name);
+        }
+
+        return names;
+    }
+
+    // Check if a device is enabled, given its type and name
+    isEnabled(type, name)
+    {
+        return !this.disabled[type].includes(name);
+    }
+
+    // Enable or disable a device, given its type and name
+    setEnabled(type, name, enabled)
+    {
+        let names = this.disabled[type].filter(n => n != name);
+
+        if (!enabled)
+            names.push(name);
+
+        this.disabled[type] = names;
+        localStorage.setItem('midiDisabled', JSON.stringify(this.disabled));
+    }
+
+    // Get the name of an input device given its id
+    getInputName(deviceId)
+    {
+        if (!this.midiAccess)
+            return null;
+
+        let input = this.midiAccess.inputs.get(deviceId);
+        return input? input.name:null;
     }
 
     // Create an onmidimessage callback for an input port
-    makeMessageCb(deviceId)
+    makeMessageCb(input)
     {
+        let deviceId = input.id;
+
         // Callback when a MIDI message is received
         function onMidiMessage(evt)
         {
+            // Ignore messages from disabled devices
+            if (!this.isEnabled('input', input.name))
+                return;
+
             var str = '';
             for (var i = 0; i < evt.data.length; i++)
             {
@@ -66,14 +143,29 @@ class MIDI extends Eventable
         return onMidiMessage.bind(this);
     }
 
-    // Send a message to all MIDI devices
-    broadcast(msg, timestamp)
+    // Send a message to a MIDI device given its name, or
+    // to all MIDI devices if the device name is null
+    send(deviceName, msg, timestamp)
     {
-        if (!midi)
+        if (!this.midiAccess)
             return;
 
         for (let output of this.midiAccess.outputs.values())
+        {
+            if (!this.isEnabled('output', output.name))
+                continue;
+
+            if (deviceName !== null && output.name != deviceName)
+                continue;
+
             output.send(msg, timestamp);
+        }
+    }
+
+    // Send a message to all MIDI devices
+    broadcast(msg, timestamp)
+    {
+        this.send(null, msg, timestamp);
     }
 }
 
@@ -0,0 +1,171 @@
+import { NoteOn, MidiExpression, MidiClock } from './model.js';
+import { midi } from './midi.js';
+
+/**
+ * Model view that routes the messages received from MIDI devices to
+ * the MidiIn and MidiClockIn nodes. This is a separate view, rather
+ * than part of the editor, because these nodes keep receiving input
+ * when the module they are in isn't being displayed.
+ */
+export class MidiInView
+{
+    constructor(model)
+    {
+        this.model = model;
+        model.addView(this);
+
+        // Current project state
+        this.state = model.state;
+
+        // MIDI input nodes of the project, as [nodeId, node] pairs,
+        // or null if they need to be found again
+        this.inputNodes = null;
+
+        midi.on('midimessage', this.midiMessage.bind(this));
+    }
+
+    /** Update the MIDI input view */
+    update(state, action)
+    {
+        this.state = state;
+
+        // Nodes only get added, removed or changed by undoable
+        // actions, or when the state is replaced
+        if (!action || action.undoable)
+            this.inputNodes = null;
+    }
+
+    /**
+     * Find the MIDI input nodes, which can be nested inside of modules
+     */
+    findInputs(graph, inputNodes)
+    {
+        for (let nodeId in graph.nodes)
+        {
+            let node = graph.nodes[nodeId];
+
+            if (node.type == 'MidiIn' || node.type == 'MidiClockIn')
+                inputNodes.push([nodeId, node]);
+
+            if (node.type == 'Module')
+                this.findInputs(node, inputNodes);
+        }
+
+        return inputNodes;
+    }
+
+    /**
+     * Dispatch a message received from a MIDI device
+     */
+    midiMessage(deviceId, msg)
+    {
+        if (!this.state)
+            return;
+
+        if (!this.inputNodes)
+            this.inputNodes = this.findInputs(this.state, []);
+
+        let deviceName = midi.getInputName(deviceId);
+
+        for (let [nodeId, node] of this.inputNodes)
+        {
+            // If the node only receives from a specific MIDI device
+            if (node.params.deviceName && deviceName != node.params.deviceName)
+                continue;
+
+            if (node.type == 'MidiIn')
+                this.noteInput(nodeId, node, msg);
+            else
+                this.clockInput(nodeId, msg);
+        }
+    }
+
+    /**
+     * Parse a note or expression message for a MidiIn node
+     */
+    noteInput(nodeId, node, msg)
+    {
+        let msgType = msg[0] & 0xF0;
+        let inChan = (msg[0] & 0x0F) + 1;
+
+        // If the node only receives from a specific MIDI channel
+        // and the input channel doesn't match, reject this message
+        if (node.params.chanNo && inChan != node.params.chanNo)
+            return;
+
+        // Note on
+        if (msgType == 0x90 && msg.length == 3)
+        {
+            this.model.update(new NoteOn(nodeId, msg[1], msg[2]));
+            return;
+        }
+
+        // Note off
+        if (msgType == 0x80 && msg.length == 3)
+        {
+            this.model.update(new NoteOn(nodeId, msg[1], 0));
+            return;
+        }
+
+        // Polyphonic aftertouch
+        if (msgType == 0xA0 && msg.length == 3)
+        {
+            this.model.update(new MidiExpression(nodeId, 'aftertouch', msg[2] / 127, msg[1]));
+            return;
+        }
+
+        // Channel pressure
+        if (msgType == 0xD0 && msg.length == 2)
+        {
+            this.model.update(new MidiExpression(nodeId, 'pressure', msg[1] / 127));
+            return;
+        }
+
+        // Pitch bend, a 14-bit value centered on 8192
+        if (msgType == 0xE0 && msg.length == 3)
+        {
+            let value = ((msg[2] << 7) | msg[1]) - 8192;
+            this.model.update(new MidiExpression(nodeId, 'bend', Math.max(value / 8191, -1)));
+            return;
+        }
+
+        // Mod wheel (CC1)
+        if (msgType == 0xB0 && msg.length == 3 && msg[1] == 1)
+        {
+            this.model.update(new MidiExpression(nodeId, 'mod', msg[2] / 127));
+            return;
+        }
+    }
+
+    /**
+     * Parse a clock or transport message for a MidiClockIn node
+     */
+    clockInput(nodeId, msg)
+    {
+        switch (msg[0])
+        {
+            // Timing clock tick
+            case 0xF8:
+            this.model.update(new MidiClock(nodeId, 'tick'));
+            break;
+
+            case 0xFA:
+            this.model.update(new MidiClock(nodeId, 'start'));
+            break;
+
+            case 0xFB:
+            this.model.update(new MidiClock(nodeId, 'continue'));
+            break;
+
+            case 0xFC:
+            this.model.update(new MidiClock(nodeId, 'stop'));
+            break;
+
+            // Song position pointer, a 14-bit number of 16th notes
+            case 0xF2:
+            if (msg.length == 3)
+                this.model.update(new MidiClock(nodeId, 'position', (msg[2] << 7) | msg[1]));
+            break;
+        }
+    }
+}
@@ -0,0 +1,85 @@
+import { Play, Stop, NoteOut } from './model.js';
+import { midi } from './midi.js';
+
+/**
+ * Model view that sends the notes produced by MidiOut nodes to MIDI
+ * devices. This is a separate view, rather than part of the editor,
+ * because MidiOut nodes keep playing when the module they are in
+ * isn't being displayed.
+ */
+export class MidiOutView
+{
+    constructor(model)
+    {
+        this.model = model;
+        model.addView(this);
+
+        // Playback time of the first note sent
+        this.firstTime = 0;
+
+        // Timestamp when the first note was sent
+        this.firstSent = 0;
+
+        // Notes currently on, mapped to the device
+        // and note off message to release them
+        this.notesOn = new Map();
+    }
+
+    /** Update the MIDI output view */
+    update(state, action)
+    {
+        if (action instanceof Play)
+        {
+            this.firstTime = 0;
+            this.firstSent = 0;
+        }
+
+        // Release the notes still held when playback stops
+        if (action instanceof Stop)
+        {
+            for (let [deviceName, noteOff] of this.notesOn.values())
+                midi.send(deviceName, noteOff);
+
+            this.notesOn.clear();
+        }
+
+        if (action instanceof NoteOut)
+        {
+            this.noteOut(action.time, action.deviceName, action.chanNo, action.noteNo, action.velocity);
+        }
+    }
+
+    /**
+     * Send a note on or note off message, with a velocity of zero
+     * meaning note off
+     */
+    noteOut(noteTime, deviceName, chanNo, noteNo, velocity)
+    {
+        // Current time in milliseconds (time stamp)
+        let curTime = performance.now();
+
+        // Notes are timed relative to the first note so that they keep
+        // the spacing they had in the audio thread, as with clock pulses
+        if (!this.firstSent)
+        {
+            this.firstTime = noteTime;
+            this.firstSent = curTime;
+        }
+
+        let sendTime = this.firstSent + (noteTime - this.firstTime) * 1000;
+
+        let key = `${deviceName}/${chanNo}/${noteNo}`;
+        let noteOff = [0x80 | (chanNo - 1), noteNo, 0];
+
+        if (velocity > 0)
+        {
+            midi.send(deviceName, [0x90 | (chanNo - 1), noteNo, velocity], sendTime);
+            this.notesOn.set(key, [deviceName, noteOff]);
+        }
+        else
+        {
+            midi.send(deviceName, noteOff, sendTime);
+            this.notesOn.delete(key);
+        }
+    }
+}
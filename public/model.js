@@ -1,4 +1,4 @@
-import { assert, isInt, isPosInt, treeCopy, treeEq, isString, isObject } from './utils.js';
+import { assert, isInt, isNonNegInt, isPosInt, randInt, treeCopy, treeEq, isString, isObject } from './utils.js';
 import { detectCycles } from './compiler.js';
 import * as music from './music.js';
 
@@ -15,6 +15,73 @@ export const MAX_USERNAME_LENGTH = 16;
 // Max project title length
 export const MAX_TITLE_LENGTH = 50;
 
+// Max node name length, which is also the max module library name length
+export const MAX_NODE_NAME_LENGTH = 12;
+
+// Maximum value of the project seed (unsigned 32-bit integer)
+export const MAX_SEED = 0xFFFFFFFF;
+
+// Maximum number of voices for polyphonic MIDI input
+export const MAX_VOICES = 16;
+
+// Voice stealing modes for polyphonic MIDI input, naming
+// which note gets cut when a new note is played and all
+// voices are already in use
+export const STEAL_MODES = ['oldest', 'lowest', 'highest'];
+
+// Outputs of MIDI input nodes repeated for each voice
+// (frequency, gate, velocity and polyphonic aftertouch)
+export const MIDI_VOICE_OUTS = ['freq', 'gate', 'vel', 'at'];
+
+// Outputs of MIDI input nodes shared by all voices, following the
+// voice outputs (channel pressure, pitch bend and mod wheel)
+export const MIDI_GLOBAL_OUTS = ['press', 'bend', 'mod'];
+
+// Expression controls received by MIDI input nodes
+export const MIDI_CONTROLS = ['aftertouch', 'pressure', 'bend', 'mod'];
+
+// Maximum pitch bend range of MIDI input nodes, in semitones
+export const MAX_BEND_RANGE = 48;
+
+// Maximum number of bars in a song arrangement
+export const MAX_BARS = 256;
+
+// Number of bars in a new song arrangement
+export const DEFAULT_NUM_BARS = 16;
+
+// Number of patterns each sequencer can hold
+export const NUM_PATTERNS = 8;
+
+// Maximum number of steps in a sequencer pattern
+export const MAX_STEPS = 256;
+
+// Length of sequencer steps in clock pulses, for each note value,
+// where T marks triplets. New patterns use 16th notes.
+export const STEP_LENS = {
+    '1/4': music.CLOCK_PPQ,
+    '1/4T': music.CLOCK_PPQ * 2 / 3,
+    '1/8': music.CLOCK_PPQ / 2,
+    '1/8T': music.CLOCK_PPQ / 3,
+    '1/16': music.CLOCK_PPQ / 4,
+    '1/16T': music.CLOCK_PPQ / 6,
+    '1/32': music.CLOCK_PPQ / 8,
+};
+
+// Maximum number of times a sequencer step can be retriggered
+export const MAX_RATCHETS = 4;
+
+// Values of a sequencer cell that is on and stored as 1. Cells stored
+// as an object have their own velocity, probability and ratchets,
+// and only hold the accent and tie flags when these are set.
+export const DEFAULT_CELL = Object.freeze({ vel: 1, prob: 1, ratchets: 1, accent: false, tie: false });
+
+// Maximum swing amount, as a fraction of a step by which
+// every other step of a sequencer or clock divider is delayed
+export const MAX_SWING = 0.5;
+
+// Clock and transport events received by MIDI clock input nodes
+export const MIDI_CLOCK_EVENTS = ['tick', 'start', 'continue', 'stop', 'position'];
+
 /**
  * High-level description/schema for each type of node
  */
@@ -88,17 +155,21 @@ export const NODE_SCHEMA =
         outs: [''],
         params: [
             { name: 'factor', default: 2 },
+            { name: 'swing', default: 0 },
         ],
         description: 'clock signal divider',
     },
 
+    // deviceName is the MIDI device to send to (null means all devices)
     'ClockOut': {
         unique: true,
         ins: [
             { name: 'clock', default: 0 }
         ],
         outs: [],
-        params: [],
+        params: [
+            { name: 'deviceName', default: null, deviceType: 'output' },
+        ],
         description: 'MIDI output for clock signal',
     },
 
@@ -208,8 +279,10 @@ export const NODE_SCHEMA =
             { name: 'gateT', default: 0.1 },
         ],
         outs: [],
-        params: [],
-        state: ['numRows', 'patterns', 'curPattern'],
+        params: [
+            { name: 'swing', default: 0 },
+        ],
+        state: ['numRows', 'patterns', 'stepLens', 'curPattern'],
         description: 'step sequencer with multiple gate outputs',
     },
 
@@ -270,19 +343,55 @@ export const NODE_SCHEMA =
         description: 'parameter control knob',
     },
 
+    // Clock signal following an external MIDI clock
+    // MIDI start and song position messages also
+    // move the sequencers to the matching step
+    'MidiClockIn': {
+        ins: [],
+        outs: [''],
+        params: [
+            { name: 'deviceName', default: null, deviceType: 'input' },
+        ],
+        state: [],
+        description: 'clock signal synced to incoming MIDI clock',
+    },
+
     // MIDI input node
     // chanNo is the channel to accept input from (null means any channel)
+    // deviceName is the device to accept input from (null means any device)
+    // bendRange is the pitch bend range in semitones
+    // With multiple voices, the voice outputs are repeated for each voice
     'MidiIn': {
         ins: [],
-        outs: ['freq', 'gate'],
+        outs: [...MIDI_VOICE_OUTS, ...MIDI_GLOBAL_OUTS],
         params: [
             { name: 'octaveNo', default: 3 },
             { name: 'chanNo', default: null },
+            { name: 'bendRange', default: 2 },
+            { name: 'deviceName', default: null, deviceType: 'input' },
         ],
-        state: [],
+        state: ['numVoices', 'stealMode'],
         description: 'MIDI note input (cv/gate)',
     },
 
+    // MIDI note output node
+    // Notes are sent on the rising and falling edges of the gate,
+    // with vel scaled from [0, 1] to the MIDI velocity range
+    'MidiOut': {
+        ins: [
+            { name: 'freq', default: 0 },
+            { name: 'gate', default: 0 },
+            { name: 'vel', default: 1 },
+        ],
+        outs: [],
+        params: [
+            { name: 'chanNo', default: 1 },
+            { name: 'deviceName', default: null, deviceType: 'output' },
+        ],
+        state: [],
+        description: 'MIDI note output',
+    },
+
     'Mod': {
         ins: [
             { name: 'in0', default: 0 },
@@ -299,9 +408,11 @@ export const NODE_SCHEMA =
             { name: 'clock', default: 0 },
             { name: 'gateT', default: 0.1 },
         ],
-        outs: ['freq', 'gate'],
-        params: [],
-        state: ['scaleName', 'scaleRoot', 'numOctaves', 'patterns', 'curPattern'],
+        outs: ['freq', 'gate', 'vel', 'accent'],
+        params: [
+            { name: 'swing', default: 0 },
+        ],
+        state: ['scaleName', 'scaleRoot', 'numOctaves', 'patterns', 'stepLens', 'curPattern'],
         description: 'monophonic step sequencer',
     },
 
@@ -445,7 +556,7 @@ export const NODE_SCHEMA =
         ins: [],
         outs: [],
         params: [],
-        state: [],
+        state: ['nodes', 'outs'],
         description: 'user-created module (node grouping)',
     },
 };
@@ -458,12 +569,20 @@ export function normalizeProject(project)
 {
     assert (project instanceof Object);
 
+    // Projects saved before seeds were introduced use a seed of zero
+    if (project.type != 'Module' && !('seed' in project))
+        project.seed = 0;
+
     // For each node
     for (let nodeId in project.nodes)
     {
         assert (typeof nodeId === 'string');
         let node = project.nodes[nodeId];
         project.nodes[nodeId] = normalizeNode(node);
+
+        // Normalize the nodes inside of modules
+        if (node.type == 'Module')
+            normalizeProject(node);
     }
 
     return project;
@@ -528,6 +647,25 @@ export function normalizeNode(node)
         }
     }
 
+    // Sequencer steps were always 16th notes before step lengths were introduced
+    if ('patterns' in node && !('stepLens' in node))
+    {
+        node.stepLens = Array.from(node.patterns, () => music.CLOCK_PPS);
+    }
+
+    // Gate sequencers only had gate outputs before velocity was introduced
+    if (node.type == 'GateSeq' && node.outNames.length == node.numRows)
+    {
+        node.outNames = gateSeqOutNames(node.numRows);
+    }
+
+    // MIDI input nodes were monophonic before voices were introduced
+    if (node.type == 'MidiIn' && !('numVoices' in node))
+    {
+        node.numVoices = 1;
+        node.stealMode = 'oldest';
+    }
+
     // Rename controlNo to controlId
     if ('controlNo' in node.params)
     {
@@ -583,6 +721,10 @@ export function validateProject(project)
     assert (typeof project.title === 'string');
     assert (project.title.length <= MAX_TITLE_LENGTH);
 
+    // Validate the seed used by nodes that produce random values
+    assert (isNonNegInt(project.seed));
+    assert (project.seed <= MAX_SEED);
+
     assert (project.nodes instanceof Object);
 
     // Validate each individual node
@@ -597,26 +739,92 @@ export function validateProject(project)
         validateNode(node);
     }
 
+    // Validate the song arrangement, if there is one
+    if ('arrangement' in project)
+    {
+        validateArrangement(project.arrangement, project);
+    }
+
     // Validate that there are no extraneous properties
-    for (let key in Object.keys(project))
+    for (let key of Object.keys(project))
+    {
+        assert (['title', 'seed', 'nodes', 'arrangement'].includes(key));
+    }
+}
+
+/**
+ * Validate the song arrangement of a project
+ * Each sequencer can have a lane with a pattern index for each bar,
+ * or null for bars where the sequencer keeps its current pattern
+ */
+function validateArrangement(arrangement, project)
+{
+    // Recursively find a node, which can be nested inside of modules
+    function findNode(graph, nodeId)
+    {
+        if (nodeId in graph.nodes)
+            return graph.nodes[nodeId];
+
+        for (let id in graph.nodes)
+        {
+            let node = graph.nodes[id];
+            if (node.type != 'Module')
+                continue;
+
+            let found = findNode(node, nodeId);
+            if (found)
+                return found;
+        }
+
+        return null;
+    }
+
+    assert (arrangement instanceof Object);
+    assert (typeof arrangement.enabled == 'boolean');
+    assert (isPosInt(arrangement.numBars) && arrangement.numBars <= MAX_BARS);
+    assert (arrangement.lanes instanceof Object);
+
+    for (let nodeId in arrangement.lanes)
+    {
+        assert (/^\d+$/.test(nodeId));
+
+        // Each lane must belong to an existing sequencer
+        let node = findNode(project, nodeId);
+        assert (node && (node.type == 'MonoSeq' || node.type == 'GateSeq'));
+
+        let lane = arrangement.lanes[nodeId];
+        assert (lane instanceof Array);
+        assert (lane.length <= arrangement.numBars);
+
+        for (let patIdx of lane)
+        {
+            assert (patIdx === null || (isNonNegInt(patIdx) && patIdx < NUM_PATTERNS));
+        }
+    }
+
+    for (let key of Object.keys(arrangement))
     {
-        assert (key in ['title', 'nodes']);
+        assert (['enabled', 'numBars', 'lanes'].includes(key));
     }
 }
 
 /**
  * Validate the state encoding of a node
+ * If the node is inside of a module, the module must be supplied
  */
-export function validateNode(node)
+export function validateNode(node, module)
 {
     assert (node instanceof Object);
     assert (node.type in NODE_SCHEMA);
     let schema = NODE_SCHEMA[node.type];
-    assert (!schema.internal);
+
+    // Modules can't be created from the node creation menu,
+    // but they can be part of a project
+    assert (!schema.internal || node.type == 'Module');
 
     // Node name
     assert (typeof node.name == 'string');
-    assert (node.name.length <= 12);
+    assert (node.name.length <= MAX_NODE_NAME_LENGTH);
 
     // Node x/y position
     assert (typeof node.x === 'number');
@@ -629,6 +837,16 @@ export function validateNode(node)
     assert (node.ins.length >= schema.ins.length);
     for (let input of node.ins)
     {
+        // Connections coming from outside of a module are
+        // encoded as indices into the module's inputs
+        if (typeof input == 'number')
+        {
+            assert (module);
+            assert (isNonNegInt(input));
+            assert (input < module.ins.length);
+            continue;
+        }
+
         if (input)
         {
             assert (input instanceof Array);
@@ -684,9 +902,94 @@ export function validateNode(node)
     if ('numRows' in node)
     {
         assert (isPosInt(node.numRows) && node.numRows <= 16);
+        assert (node.outNames.length == gateSeqOutNames(node.numRows).length);
+    }
+
+    if ('patterns' in node)
+    {
+        let stepLens = Object.values(STEP_LENS);
+        assert (node.stepLens.length == node.patterns.length);
+
+        for (let patIdx = 0; patIdx < node.patterns.length; ++patIdx)
+        {
+            let grid = node.patterns[patIdx];
+            if (!grid)
+                continue;
+
+            assert (stepLens.includes(node.stepLens[patIdx]), 'invalid step length');
+            assert (grid.length >= 1 && grid.length <= MAX_STEPS, 'invalid pattern length');
+
+            for (let step of grid)
+            {
+                assert (step.length == grid[0].length);
+                step.forEach(cell => validateCell(cell, node.type));
+            }
+        }
+    }
+
+    // Validate MIDI input voices
+    if (node.type == 'MidiIn')
+    {
+        assert (isPosInt(node.numVoices) && node.numVoices <= MAX_VOICES);
+        assert (STEAL_MODES.includes(node.stealMode));
+        assert (node.outNames.length == midiInOutNames(node.numVoices).length);
+    }
+
+    // Validate the contents of modules
+    if (node.type == 'Module')
+    {
+        validateModule(node);
+    }
+}
+
+/**
+ * Validate the nodes and output ports of a module
+ */
+function validateModule(module)
+{
+    assert (module.nodes instanceof Object);
+
+    for (let nodeId in module.nodes)
+    {
+        assert (/^\d+$/.test(nodeId));
+        validateNode(module.nodes[nodeId], module);
+    }
+
+    // Each module output maps to an output port inside the module,
+    // or is null if the output is disconnected
+    assert (module.outs instanceof Array);
+    assert (module.outs.length == module.outNames.length);
+    for (let output of module.outs)
+    {
+        if (output === null)
+            continue;
+
+        assert (output instanceof Array);
+        assert (output.length == 2);
+        assert (output[0] in module.nodes);
+        assert (isNonNegInt(output[1]));
     }
 }
 
+/**
+ * Validate the data for a module saved in the module library
+ * This data has the same format as the data produced by Model.copy(),
+ * with a single module node
+ */
+export function validateLibModule(data)
+{
+    assert (data instanceof Object);
+    assert (data.nodes instanceof Object);
+
+    let nodeIds = Object.keys(data.nodes);
+    assert (nodeIds.length == 1);
+    assert (/^\d+$/.test(nodeIds[0]));
+
+    let module = data.nodes[nodeIds[0]];
+    validateNode(module);
+    assert (module.type == 'Module');
+}
+
 /**
  * Validate the parameters for a node of a given type
  */
@@ -766,6 +1069,29 @@ export function validateParams(nodeType, params)
             throw RangeError('factor must be a positive integer');
     }
 
+    // Swing amount of sequencers and ClockDiv
+    if ('swing' in params)
+    {
+        let swing = params.swing;
+        if (typeof swing != 'number' || !isFinite(swing) || swing < 0 || swing > MAX_SWING)
+            throw RangeError(`swing must be between 0 and ${MAX_SWING}`);
+    }
+
+    // Pitch bend range of MIDI input
+    if ('bendRange' in params)
+    {
+        let bendRange = params.bendRange;
+        if (typeof bendRange != 'number' || !isFinite(bendRange) || bendRange < 0 || bendRange > MAX_BEND_RANGE)
+            throw RangeError(`bendRange must be between 0 and ${MAX_BEND_RANGE}`);
+    }
+
+    // MIDI device names
+    if ('deviceName' in params)
+    {
+        if (params.deviceName !== null && !isString(params.deviceName))
+            throw RangeError('deviceName must be null or a string');
+    }
+
     // MIDI channel number
     if ('chanNo' in params)
     {
@@ -774,6 +1100,10 @@ export function validateParams(nodeType, params)
 
         if (params.chanNo != null && (params.chanNo < 1 || params.chanNo > 16))
             throw RangeError('chanNo must be between 1 and 16 inclusively');
+
+        // Notes can't be sent on any channel
+        if (nodeType == 'MidiOut' && params.chanNo == null)
+            throw RangeError('chanNo must be set for MIDI output');
     }
 }
 
@@ -811,6 +1141,10 @@ function resetState(project)
                 delete node[key];
             }
         }
+
+        // Reset the state of the nodes inside of modules
+        if (node.type == 'Module')
+            resetState(node);
     }
 }
 
@@ -890,6 +1224,26 @@ export class SetTitle extends Action
     }
 }
 
+/**
+ * Set the seed used by nodes that produce random values
+ */
+export class SetSeed extends Action
+{
+    constructor(seed)
+    {
+        super();
+        this.seed = seed;
+    }
+
+    update(model)
+    {
+        if (!isNonNegInt(this.seed) || this.seed > MAX_SEED)
+            throw TypeError('invalid project seed');
+
+        model.state.seed = this.seed;
+    }
+}
+
 /**
  * Initialize a new blank pattern for a sequencer node
  */
@@ -928,6 +1282,16 @@ function initPattern(node, patIdx)
     }
 
     node.patterns[patIdx] = grid;
+    node.stepLens[patIdx] = music.CLOCK_PPS;
+}
+
+/**
+ * Get the number of steps in one 4/4 bar
+ * of the current pattern of a sequencer node
+ */
+function barSteps(node)
+{
+    return 4 * music.CLOCK_PPQ / node.stepLens[node.curPattern];
 }
 
 /**
@@ -935,7 +1299,7 @@ function initPattern(node, patIdx)
  */
 export class CreateNode extends Action
 {
-    constructor(nodeType, x, y)
+    constructor(nodeType, x, y, moduleId)
     {
         // Ensure that the coordinates are integers
         assert(isInt(x));
@@ -945,12 +1309,18 @@ export class CreateNode extends Action
         this.nodeType = nodeType;
         this.x = x;
         this.y = y;
+
+        // Module to create the node in, if any
+        this.moduleId = moduleId? moduleId:null;
     }
 
     update(model)
     {
         let schema = NODE_SCHEMA[this.nodeType];
 
+        // Unique nodes can't be placed inside of modules
+        assert (!this.moduleId || !schema.unique);
+
         let node = {
             type: this.nodeType,
             name: this.nodeType,
@@ -975,16 +1345,24 @@ export class CreateNode extends Action
             node.numRows = 4;
 
             // Create the output ports
-            node.outNames = ['gate0', 'gate1', 'gate2', 'gate3'];
+            node.outNames = gateSeqOutNames(node.numRows);
 
             // Currently active pattern
             node.curPattern = 0;
 
             // Initialize an empty pattern
             node.patterns = [];
+            node.stepLens = [];
             initPattern(node, 0);
         }
 
+        // MIDI input nodes start out monophonic
+        if (this.nodeType == 'MidiIn')
+        {
+            node.numVoices = 1;
+            node.stealMode = 'oldest';
+        }
+
         // If this is a monophonic  sequencer node
         if (this.nodeType == 'MonoSeq')
         {
@@ -998,12 +1376,14 @@ export class CreateNode extends Action
 
             // Initialize an empty pattern
             node.patterns = [];
+            node.stepLens = [];
             initPattern(node, 0);
         }
 
-        // Add the node to the state
+        // Add the node to the project or to the module
+        let graph = this.moduleId? model.getNodeState(this.moduleId):model.state;
         let nodeId = model.getFreeId();
-        model.state.nodes[nodeId] = node;
+        graph.nodes[nodeId] = node;
 
         return nodeId;
     }
@@ -1041,7 +1421,7 @@ export class MoveNodes extends Action
     {
         for (let nodeId of this.nodeIds)
         {
-            let node = model.state.nodes[nodeId];
+            let node = model.getNodeState(nodeId);
             node.x += this.dx;
             node.y += this.dy;
         }
@@ -1062,22 +1442,26 @@ export class DeleteNodes extends Action
 
     update(model)
     {
+        // The nodes deleted are all part of the same graph,
+        // which is either the project or a module
+        let graph = model.findGraph(this.nodeIds[0]);
+
         // For each node to be deleted
         for (let nodeId of this.nodeIds)
         {
-            assert (nodeId in model.state.nodes);
-            delete model.state.nodes[nodeId];
+            assert (nodeId in graph.nodes);
+            delete graph.nodes[nodeId];
         }
 
-        // For each node in the model
-        for (let nodeId in model.state.nodes)
+        // For each node in the graph
+        for (let nodeId in graph.nodes)
         {
-            let nodeState = model.state.nodes[nodeId];
+            let nodeState = graph.nodes[nodeId];
 
             // For each input-side port
             for (let dstPort = 0; dstPort < nodeState.ins.length; ++dstPort)
             {
-                if (!nodeState.ins[dstPort])
+                if (!(nodeState.ins[dstPort] instanceof Array))
                     continue;
 
                 let [srcId, srcPort] = nodeState.ins[dstPort];
@@ -1089,7 +1473,68 @@ export class DeleteNodes extends Action
                 }
             }
         }
+
+        // If deleting nodes inside of a module, disconnect
+        // the module outputs connected to these nodes
+        if (graph.type == 'Module')
+        {
+            for (let outIdx = 0; outIdx < graph.outs.length; ++outIdx)
+            {
+                let srcPort = graph.outs[outIdx];
+
+                if (srcPort && this.nodeIds.indexOf(srcPort[0]) != -1)
+                    graph.outs[outIdx] = null;
+            }
+        }
+
+        // Remove the song arrangement lanes of deleted sequencers,
+        // including those nested inside of deleted modules
+        if (model.state.arrangement)
+        {
+            for (let nodeId in model.state.arrangement.lanes)
+            {
+                if (!model.findGraph(nodeId))
+                    delete model.state.arrangement.lanes[nodeId];
+            }
+        }
+    }
+}
+
+/**
+ * Recursively assign new node ids to the nodes inside of a module
+ */
+function remapModule(module, model)
+{
+    let nodeIdMap = {};
+    let nodes = {};
+
+    for (let nodeId in module.nodes)
+    {
+        let mappedNodeId = model.getFreeId();
+        nodeIdMap[nodeId] = mappedNodeId;
+        nodes[mappedNodeId] = module.nodes[nodeId];
+    }
+
+    // Indices into the module inputs are left unchanged
+    function mapPort(port)
+    {
+        if (!(port instanceof Array))
+            return port;
+
+        return [nodeIdMap[port[0]], port[1]];
+    }
+
+    for (let nodeId in nodes)
+    {
+        let node = nodes[nodeId];
+        node.ins = node.ins.map(mapPort);
+
+        if (node.type == 'Module')
+            remapModule(node, model);
     }
+
+    module.nodes = nodes;
+    module.outs = module.outs.map(mapPort);
 }
 
 /**
@@ -1100,7 +1545,7 @@ export class DeleteNodes extends Action
  */
 export class Paste extends Action
 {
-    constructor(data, x, y)
+    constructor(data, x, y, moduleId)
     {
         super();
 
@@ -1115,6 +1560,8 @@ export class Paste extends Action
             // Normalize and validate the node data
             let nodeData = this.nodesData[nodeId];
             nodeData = normalizeNode(nodeData);
+            if (nodeData.type == 'Module')
+                normalizeProject(nodeData);
             validateNode(nodeData);
             this.nodesData[nodeId] = nodeData;
         }
@@ -1124,6 +1571,9 @@ export class Paste extends Action
         assert (typeof this.x == 'number');
         assert (typeof this.y == 'number');
 
+        // Module to paste the nodes into, if any
+        this.moduleId = moduleId? moduleId:null;
+
         // Node ids for pasted nodes.
         // This is set after the action has been executed.
         this.pastedIds = null;
@@ -1135,13 +1585,16 @@ export class Paste extends Action
 
         let nodeIdMap = {};
 
+        // Project or module to paste the nodes into
+        let graph = this.moduleId? model.getNodeState(this.moduleId):model.state;
+
         // Don't paste unique nodes if an instance already
-        // Exists in this project
+        // Exists in this project, or inside of modules
         for (let nodeId in this.nodesData)
         {
             let node = this.nodesData[nodeId];
             let schema = NODE_SCHEMA[node.type];
-            if (schema.unique && model.hasNode(node.type))
+            if (schema.unique && (this.moduleId || model.hasNode(node.type)))
                 delete this.nodesData[nodeId];
         }
 
@@ -1183,17 +1636,22 @@ export class Paste extends Action
                 node.params[param.name] = value;
             }
 
+            // Node ids inside of modules must be unique
+            // across the whole project, so they get remapped too
+            if (node.type == 'Module')
+                remapModule(node, model);
+
             // Add the node and track the new ID.
             let mappedNodeId = model.getFreeId();
             nodeIdMap[nodeId] = mappedNodeId;
-            model.state.nodes[mappedNodeId] = node;
+            graph.nodes[mappedNodeId] = node;
         }
 
         // Now that all the nodes have mapped IDs, fill in the port connections.
         for (let nodeId in this.nodesData)
         {
             let mappedNodeId = nodeIdMap[nodeId];
-            let node = model.state.nodes[mappedNodeId];
+            let node = graph.nodes[mappedNodeId];
 
             node.ins = this.nodesData[nodeId].ins.map(input => {
                 if (!(input instanceof Array) || input.length != 2)
@@ -1229,7 +1687,7 @@ export class SetNodeName extends Action
         if (this.name.length == 0)
             throw TypeError('node name cannot be empty');
 
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         node.name = this.name;
     }
 }
@@ -1249,7 +1707,7 @@ export class SetInName extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         node.inNames[this.portIdx] = this.name;
     }
 }
@@ -1269,7 +1727,7 @@ export class SetOutName extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         node.outNames[this.portIdx] = this.name;
     }
 }
@@ -1306,7 +1764,7 @@ export class SetParam extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         assert (this.paramName in node.params);
         node.params[this.paramName] = this.value;
     }
@@ -1329,10 +1787,11 @@ export class ConnectNodes extends Action
     update(model)
     {
         assert (this.srcId != this.dstId);
-        let srcNode = model.state.nodes[this.srcId];
-        let dstNode = model.state.nodes[this.dstId];
-        assert (srcNode);
-        assert (dstNode);
+        let srcNode = model.getNodeState(this.srcId);
+        let dstNode = model.getNodeState(this.dstId);
+
+        // Nodes can only be connected within the same project or module
+        assert (model.findGraph(this.srcId) === model.findGraph(this.dstId));
 
         // An input port can only have one incoming connection
         dstNode.ins[this.dstPort] = [this.srcId, this.srcPort];
@@ -1353,12 +1812,85 @@ export class Disconnect extends Action
 
     update(model)
     {
-        let dstNode = model.state.nodes[this.dstId];
-        assert (dstNode);
+        let dstNode = model.getNodeState(this.dstId);
         dstNode.ins[this.dstPort] = null;
     }
 }
 
+/**
+ * Connect one of the inputs of a module to a node inside the module
+ */
+export class ConnectModuleIn extends Action
+{
+    constructor(moduleId, inIdx, dstId, dstPort)
+    {
+        super();
+        this.moduleId = moduleId;
+        this.inIdx = inIdx;
+        this.dstId = dstId;
+        this.dstPort = dstPort;
+    }
+
+    update(model)
+    {
+        let module = model.getNodeState(this.moduleId);
+        assert (module.type == 'Module');
+        assert (this.inIdx < module.ins.length);
+        assert (this.dstId in module.nodes);
+
+        // Inside of modules, connections coming from outside
+        // are encoded as indices into the module's inputs
+        let dstNode = module.nodes[this.dstId];
+        dstNode.ins[this.dstPort] = this.inIdx;
+    }
+}
+
+/**
+ * Connect the output port of a node inside a module to one of the
+ * outputs of the module
+ */
+export class ConnectModuleOut extends Action
+{
+    constructor(srcId, srcPort, moduleId, outIdx)
+    {
+        super();
+        this.srcId = srcId;
+        this.srcPort = srcPort;
+        this.moduleId = moduleId;
+        this.outIdx = outIdx;
+    }
+
+    update(model)
+    {
+        let module = model.getNodeState(this.moduleId);
+        assert (module.type == 'Module');
+        assert (this.outIdx < module.outs.length);
+        assert (this.srcId in module.nodes);
+
+        module.outs[this.outIdx] = [this.srcId, this.srcPort];
+    }
+}
+
+/**
+ * Remove the connection attached to one of the outputs of a module
+ */
+export class DisconnectModuleOut extends Action
+{
+    constructor(moduleId, outIdx)
+    {
+        super();
+        this.moduleId = moduleId;
+        this.outIdx = outIdx;
+    }
+
+    update(model)
+    {
+        let module = model.getNodeState(this.moduleId);
+        assert (module.type == 'Module');
+        module.outs[this.outIdx] = null;
+    }
+}
+
 /**
  * Group the selected nodes into a user-created module
  * Currently, the way this works is that the selected nodes will become
@@ -1390,27 +1922,32 @@ export class GroupNodes extends Action
             inNames: [],
             outNames: [],
             params: {},
-            nodes: {}
+            nodes: {},
+            outs: []
         };
 
-        // Add the new module node to the state
+        // The nodes may be grouped at the top level of the project
+        // or inside of another module
+        let graph = model.findGraph(this.nodeIds[0]);
+
+        // Add the new module node to the graph
         let moduleId = model.getFreeId();
-        model.state.nodes[moduleId] = module;
+        graph.nodes[moduleId] = module;
 
         // Can't group nodes that must remain unique
         this.nodeIds = this.nodeIds.filter(function (nodeId)
         {
-            let node = model.state.nodes[nodeId];
+            let node = graph.nodes[nodeId];
             let schema = NODE_SCHEMA[node.type];
             return !schema.unique;
         });
 
-        // Add the nodes to the module and remove them from the global graph
+        // Add the nodes to the module and remove them from the parent graph
         for (let nodeId of this.nodeIds)
         {
-            let node = model.state.nodes[nodeId];
+            let node = graph.nodes[nodeId];
             module.nodes[nodeId] = node;
-            delete model.state.nodes[nodeId];
+            delete graph.nodes[nodeId];
         }
 
         // Compute the position of the group node
@@ -1440,14 +1977,14 @@ export class GroupNodes extends Action
             // For each input port
             for (let dstPort in node.ins)
             {
-                if (!node.ins[dstPort])
-                    continue;
-
                 let srcPort = node.ins[dstPort];
-                let [srcNode, portIdx] = srcPort;
 
-                // If this input connection leads to a port outside of the group
-                if (srcNode in model.state.nodes)
+                if (srcPort === null || srcPort === undefined)
+                    continue;
+
+                // If this input connection leads to a port outside of the
+                // group, or to an input of the parent module
+                if (typeof srcPort == 'number' || srcPort[0] in graph.nodes)
                 {
                     let listIdx = findInList(module.ins, srcPort);
 
@@ -1468,17 +2005,33 @@ export class GroupNodes extends Action
         console.log(`num module ins: ${module.ins.length}`);
 
         // List of output ports (tuples) that are connected to outside nodes
-        let outPorts = [];
+        let outPorts = module.outs;
+
+        // Map a port inside of the group to an output of the module
+        function mapOutPort(srcPort)
+        {
+            let listIdx = findInList(outPorts, srcPort);
+
+            // If we aren't tracking this port yet
+            if (listIdx == -1)
+            {
+                listIdx = outPorts.length;
+                outPorts.push(srcPort);
+                module.outNames.push('out' + listIdx);
+            }
+
+            return [String(moduleId), listIdx];
+        }
 
         // For each node outside the module
-        for (let nodeId in model.state.nodes)
+        for (let nodeId in graph.nodes)
         {
-            let node = model.state.nodes[nodeId];
+            let node = graph.nodes[nodeId];
 
             // For each input port
             for (let dstPort in node.ins)
             {
-                if (!node.ins[dstPort])
+                if (!(node.ins[dstPort] instanceof Array))
                     continue;
 
                 let srcPort = node.ins[dstPort];
@@ -1487,26 +2040,117 @@ export class GroupNodes extends Action
                 // If this input connection leads to a port inside of the group
                 if (srcNode in module.nodes)
                 {
-                    let listIdx = findInList(outPorts, srcPort);
-
-                    // If we aren't tracking this port yet
-                    if (listIdx == -1)
-                    {
-                        listIdx = outPorts.length;
-                        outPorts.push(srcPort);
-                        module.outNames.push('out' + listIdx);
-                    }
-
                     // Keep track of the fact that this is an external connection
-                    node.ins[dstPort] = [String(moduleId), listIdx];
+                    node.ins[dstPort] = mapOutPort(srcPort);
                 }
             }
         }
 
+        // If grouping inside of a module, the outputs of the
+        // parent module may also lead to ports inside of the group
+        if (graph.type == 'Module')
+        {
+            for (let outIdx = 0; outIdx < graph.outs.length; ++outIdx)
+            {
+                let srcPort = graph.outs[outIdx];
+
+                if (srcPort && srcPort[0] in module.nodes)
+                    graph.outs[outIdx] = mapOutPort(srcPort);
+            }
+        }
+
         console.log(`num module outs: ${module.outNames.length}`);
     }
 }
 
+/**
+ * Dissolve a user-created module back into its parent graph
+ * This is the inverse of GroupNodes. The nodes inside the module keep
+ * their position, and the connections going through the module's
+ * inputs and outputs are restored as direct connections.
+ */
+export class UngroupNodes extends Action
+{
+    constructor(nodeId)
+    {
+        super();
+        this.nodeId = nodeId;
+    }
+
+    update(model)
+    {
+        console.log('ungrouping nodes');
+
+        // The module may be at the top level of the
+        // project or inside of another module
+        let graph = model.findGraph(this.nodeId);
+        let module = graph.nodes[this.nodeId];
+        assert (module.type == 'Module');
+        delete graph.nodes[this.nodeId];
+
+        // Copy a port tuple, or index into the parent module's inputs
+        function copyPort(srcPort)
+        {
+            if (srcPort instanceof Array)
+                return srcPort.slice();
+
+            if (typeof srcPort == 'number')
+                return srcPort;
+
+            return null;
+        }
+
+        // Move the nodes inside the module into the parent graph
+        for (let nodeId in module.nodes)
+        {
+            let node = module.nodes[nodeId];
+
+            // Reconnect inputs coming from outside the module
+            // to their source in the parent graph
+            for (let dstPort = 0; dstPort < node.ins.length; ++dstPort)
+            {
+                if (typeof node.ins[dstPort] == 'number')
+                    node.ins[dstPort] = copyPort(module.ins[node.ins[dstPort]]);
+            }
+
+            graph.nodes[nodeId] = node;
+        }
+
+        // For each node outside the module
+        for (let nodeId in graph.nodes)
+        {
+            let node = graph.nodes[nodeId];
+
+            // For each input port
+            for (let dstPort = 0; dstPort < node.ins.length; ++dstPort)
+            {
+                if (!(node.ins[dstPort] instanceof Array))
+                    continue;
+
+                let [srcNode, portIdx] = node.ins[dstPort];
+
+                // If this input connection leads to a module output,
+                // connect it to the port inside the module directly
+                if (srcNode == this.nodeId)
+                    node.ins[dstPort] = copyPort(module.outs[portIdx]);
+            }
+        }
+
+        // If ungrouping inside of a module, the outputs of
+        // the parent module may lead to the module outputs
+        if (graph.type == 'Module')
+        {
+            for (let outIdx = 0; outIdx < graph.outs.length; ++outIdx)
+            {
+                let srcPort = graph.outs[outIdx];
+
+                if (srcPort && srcPort[0] == this.nodeId)
+                    graph.outs[outIdx] = copyPort(module.outs[srcPort[1]]);
+            }
+        }
+    }
+}
+
 /**
  * Start playbacks
  */
@@ -1566,7 +2210,7 @@ export class ToggleCell extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         assert (node.type == 'MonoSeq' || node.type == 'GateSeq');
         let grid = node.patterns[this.patIdx];
         assert (grid instanceof Array);
@@ -1594,6 +2238,123 @@ export class ToggleCell extends Action
     }
 }
 
+/**
+ * Set a grid cell for a sequencer, given the velocity, trigger
+ * probability, number of ratchets, and accent and tie flags of
+ * the cell, or null to turn the cell off
+ */
+export class SetCell extends Action
+{
+    constructor(nodeId, patIdx, stepIdx, rowIdx, attrs)
+    {
+        if (attrs)
+            validateCell(attrs);
+
+        super();
+        this.nodeId = nodeId;
+        this.patIdx = patIdx;
+        this.stepIdx = stepIdx;
+        this.rowIdx = rowIdx;
+        this.attrs = attrs;
+    }
+
+    update(model)
+    {
+        let node = model.getNodeState(this.nodeId);
+        assert (node.type == 'MonoSeq' || node.type == 'GateSeq');
+        let grid = node.patterns[this.patIdx];
+        assert (grid instanceof Array);
+        assert (this.stepIdx < grid.length);
+        let numRows = grid[this.stepIdx].length;
+        assert (this.rowIdx < numRows);
+
+        // Cells using the default values are stored as 1, and
+        // the accent and tie flags are only stored when set
+        let newVal = 0;
+        if (this.attrs)
+        {
+            let { vel, prob, ratchets, accent, tie } = this.attrs;
+            assert (!(accent || tie) || node.type == 'MonoSeq', 'only MonoSeq steps can have accents and ties');
+
+            let isDefault = (vel == 1 && prob == 1 && ratchets == 1 && !accent && !tie);
+            newVal = isDefault? 1:{ vel, prob, ratchets };
+            if (accent)
+                newVal.accent = true;
+            if (tie)
+                newVal.tie = true;
+        }
+
+        // If this is a monophonic sequencer,
+        // zero-out all other cells at this step
+        if (node.type == 'MonoSeq')
+        {
+            for (let i = 0; i < numRows; ++i)
+                grid[this.stepIdx][i] = 0;
+        }
+
+        grid[this.stepIdx][this.rowIdx] = newVal;
+
+        // Tag the new value on the action to make
+        // view updates easier
+        this.value = newVal;
+    }
+}
+
+/**
+ * Get the velocity, trigger probability, number of ratchets, and
+ * accent and tie flags of a sequencer cell that is on. Cells using
+ * the default values are stored as 1, other cells as an object
+ * holding their values.
+ */
+export function cellAttrs(cell)
+{
+    assert (cell);
+
+    return Object.assign({}, DEFAULT_CELL, (cell === 1)? {}:cell);
+}
+
+/**
+ * Validate the value of a sequencer cell
+ * If the node type is given, only MonoSeq cells can have accents and ties
+ */
+function validateCell(cell, nodeType)
+{
+    if (cell === 0 || cell === 1)
+        return;
+
+    assert (isObject(cell), 'invalid sequencer cell');
+    assert (typeof cell.vel == 'number' && cell.vel >= 0 && cell.vel <= 1, 'invalid cell velocity');
+    assert (typeof cell.prob == 'number' && cell.prob > 0 && cell.prob <= 1, 'invalid cell probability');
+    assert (isPosInt(cell.ratchets) && cell.ratchets <= MAX_RATCHETS, 'invalid number of ratchets');
+    assert (!('accent' in cell) || typeof cell.accent == 'boolean', 'invalid cell accent');
+    assert (!('tie' in cell) || typeof cell.tie == 'boolean', 'invalid cell tie');
+
+    if (nodeType !== undefined)
+        assert (!(cell.accent || cell.tie) || nodeType == 'MonoSeq', 'only MonoSeq steps can have accents and ties');
+}
+
+/**
+ * Report the outcome of compiling the project for audio playback
+ * The error is null if the project compiled successfully
+ */
+export class SetCompileError extends Action
+{
+    constructor(error)
+    {
+        super();
+        this.error = error;
+    }
+
+    update(model)
+    {
+    }
+
+    get undoable()
+    {
+        return false;
+    }
+}
+
 /**
  * Set the current step to be highlighted in a sequencer
  */
@@ -1610,7 +2371,7 @@ export class SetCurStep extends Action
     {
         // The pattern may have shrunk since the audio
         // thread sent this message
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         let grid = node.patterns[node.curPattern];
         this.stepIdx = this.stepIdx % grid.length;
     }
@@ -1636,7 +2397,7 @@ export class QueuePattern extends Action
     update(model)
     {
         // Initialize the pattern if it doesn't already exist
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         initPattern(node, this.patIdx);
     }
 
@@ -1663,7 +2424,7 @@ export class SetScale extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
 
         let oldScale = music.genScale(
             node.scaleRoot,
@@ -1716,7 +2477,7 @@ export class SetScale extends Action
                     if (newIdx >= newGrid[step].length)
                         continue;
 
-                    newGrid[step][newIdx] = 1;
+                    newGrid[step][newIdx] = oldGrid[step][row];
                 }
             }
 
@@ -1745,7 +2506,8 @@ export class SetNumRows extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
+        let oldNumRows = node.numRows;
 
         // Update each pattern
         for (let patIdx = 0; patIdx < node.patterns.length; ++patIdx)
@@ -1775,36 +2537,264 @@ export class SetNumRows extends Action
             node.patterns[patIdx] = newGrid;
         }
 
-        // Update the outputs, one output per row/gate
-        node.outNames = [];
-        for (let i = 0; i < this.numRows; ++i)
-            node.outNames[i] = 'gate' + i;
-
+        // Update the outputs, one gate and one velocity output per row
+        node.outNames = gateSeqOutNames(this.numRows);
         node.numRows = this.numRows;
 
-        // For each node in the graph
-        for (let nodeId in model.state.nodes)
+        // Move the velocity outputs after the new gate outputs, and
+        // remove connections from rows that no longer exist
+        remapOutputs(model, this.nodeId, portIdx =>
         {
-            let node = model.state.nodes[nodeId];
+            let rowIdx = portIdx % oldNumRows;
+            if (rowIdx >= this.numRows)
+                return null;
+            return (portIdx < oldNumRows)? rowIdx:this.numRows + rowIdx;
+        });
+    }
+}
 
-            // For each input port
-            for (let dstPort in node.ins)
-            {
-                if (!node.ins[dstPort])
-                    continue;
+/**
+ * Get the output names of a gate sequencer, with one gate
+ * output per row, followed by one velocity output per row
+ */
+function gateSeqOutNames(numRows)
+{
+    let outNames = [];
+    for (let i = 0; i < numRows; ++i)
+        outNames.push('gate' + i);
+    for (let i = 0; i < numRows; ++i)
+        outNames.push('vel' + i);
+    return outNames;
+}
 
-                let [srcNode, portIdx] = node.ins[dstPort];
+/**
+ * Set the number of voices of a MIDI input node
+ */
+export class SetNumVoices extends Action
+{
+    constructor(nodeId, numVoices)
+    {
+        assert (isPosInt(numVoices) && numVoices <= MAX_VOICES);
+        super();
+        this.nodeId = nodeId;
+        this.numVoices = numVoices;
+    }
 
-                // Remove the connection if it maps to a row that no longer exists
-                if (srcNode == this.nodeId && portIdx >= this.numRows)
-                {
-                    node.ins[dstPort] = null;
-                }
-            }
+    update(model)
+    {
+        let node = model.getNodeState(this.nodeId);
+        assert (node.type == 'MidiIn');
+
+        let numVoiceOuts = MIDI_VOICE_OUTS.length;
+        let oldNumVoices = node.numVoices;
+
+        node.outNames = midiInOutNames(this.numVoices);
+        node.numVoices = this.numVoices;
+
+        // The outputs are grouped by voice, so the outputs of the voices
+        // that remain keep the same port indices. Connections from voices
+        // that no longer exist get removed, and the outputs shared by
+        // all voices move after the last voice.
+        remapOutputs(model, this.nodeId, portIdx =>
+        {
+            if (portIdx >= oldNumVoices * numVoiceOuts)
+                return portIdx + (this.numVoices - oldNumVoices) * numVoiceOuts;
+
+            if (portIdx < this.numVoices * numVoiceOuts)
+                return portIdx;
+
+            return null;
+        });
+    }
+}
+
+/**
+ * Set the voice stealing mode of a MIDI input node
+ */
+export class SetStealMode extends Action
+{
+    constructor(nodeId, stealMode)
+    {
+        assert (STEAL_MODES.includes(stealMode));
+        super();
+        this.nodeId = nodeId;
+        this.stealMode = stealMode;
+    }
+
+    update(model)
+    {
+        let node = model.getNodeState(this.nodeId);
+        assert (node.type == 'MidiIn');
+        node.stealMode = this.stealMode;
+    }
+}
+
+/**
+ * Get the output names of a MIDI input node with a given number of voices
+ */
+function midiInOutNames(numVoices)
+{
+    if (numVoices == 1)
+        return [...MIDI_VOICE_OUTS, ...MIDI_GLOBAL_OUTS];
+
+    let outNames = [];
+    for (let i = 0; i < numVoices; ++i)
+        outNames.push(...MIDI_VOICE_OUTS.map(name => name + i));
+
+    return [...outNames, ...MIDI_GLOBAL_OUTS];
+}
+
+/**
+ * Update the connections from the output ports of a node after its
+ * outputs have changed. The mapping function takes an old output port
+ * index and returns the new port index, or null to remove the connection.
+ */
+function remapOutputs(model, srcId, mapFn)
+{
+    // For each node in the graph
+    let graph = model.findGraph(srcId);
+    for (let nodeId in graph.nodes)
+    {
+        let node = graph.nodes[nodeId];
+
+        // For each input port
+        for (let dstPort in node.ins)
+        {
+            if (!(node.ins[dstPort] instanceof Array))
+                continue;
+
+            let [srcNode, portIdx] = node.ins[dstPort];
+
+            if (srcNode != srcId)
+                continue;
+
+            let newIdx = mapFn(portIdx);
+            node.ins[dstPort] = (newIdx === null)? null:[srcNode, newIdx];
+        }
+    }
+
+    // Remap the module outputs mapped to this node
+    if (graph.type == 'Module')
+    {
+        for (let outIdx = 0; outIdx < graph.outs.length; ++outIdx)
+        {
+            let srcPort = graph.outs[outIdx];
+
+            if (!srcPort || srcPort[0] != srcId)
+                continue;
+
+            let newIdx = mapFn(srcPort[1]);
+            graph.outs[outIdx] = (newIdx === null)? null:[srcId, newIdx];
+        }
+    }
+}
+
+/**
+ * Enable or disable the song arrangement, which chains the
+ * patterns of sequencers over time
+ */
+export class SetSongMode extends Action
+{
+    constructor(enabled)
+    {
+        super();
+        this.enabled = enabled;
+    }
+
+    update(model)
+    {
+        getArrangement(model).enabled = this.enabled;
+    }
+}
+
+/**
+ * Set the number of bars in the song arrangement
+ */
+export class SetNumBars extends Action
+{
+    constructor(numBars)
+    {
+        assert (isPosInt(numBars) && numBars <= MAX_BARS);
+        super();
+        this.numBars = numBars;
+    }
+
+    update(model)
+    {
+        let arrangement = getArrangement(model);
+        arrangement.numBars = this.numBars;
+
+        // Remove the bars that are past the end of the song
+        for (let nodeId in arrangement.lanes)
+        {
+            let lane = arrangement.lanes[nodeId];
+            lane.length = Math.min(lane.length, this.numBars);
         }
     }
 }
 
+/**
+ * Set the pattern a sequencer switches to at a given bar of the song
+ * arrangement. A null pattern index means no pattern change.
+ */
+export class SetLaneCell extends Action
+{
+    constructor(nodeId, barIdx, patIdx)
+    {
+        assert (isNonNegInt(barIdx));
+        assert (patIdx === null || (isNonNegInt(patIdx) && patIdx < NUM_PATTERNS));
+        super();
+        this.nodeId = nodeId;
+        this.barIdx = barIdx;
+        this.patIdx = patIdx;
+    }
+
+    update(model)
+    {
+        let node = model.getNodeState(this.nodeId);
+        assert (node.type == 'MonoSeq' || node.type == 'GateSeq');
+
+        let arrangement = getArrangement(model);
+        assert (this.barIdx < arrangement.numBars);
+
+        let lane = arrangement.lanes[this.nodeId] || [];
+        while (lane.length <= this.barIdx)
+            lane.push(null);
+        lane[this.barIdx] = this.patIdx;
+
+        // Trim the bars without pattern changes at the end of the lane
+        while (lane.length > 0 && lane[lane.length-1] === null)
+            lane.pop();
+
+        if (lane.length > 0)
+            arrangement.lanes[this.nodeId] = lane;
+        else
+            delete arrangement.lanes[this.nodeId];
+
+        // Initialize the pattern if it doesn't already exist
+        if (this.patIdx !== null)
+            initPattern(node, this.patIdx);
+    }
+}
+
+/**
+ * Get the song arrangement of a project, creating an empty one
+ * if the project doesn't have one yet
+ */
+function getArrangement(model)
+{
+    if (!model.state.arrangement)
+    {
+        model.state.arrangement = {
+            enabled: false,
+            numBars: DEFAULT_NUM_BARS,
+            lanes: {}
+        };
+    }
+
+    return model.state.arrangement;
+}
+
 /**
  * Immediately set the currently playing pattern in a sequencer
  * Note that the editor will send QueuePattern during playback instead.
@@ -1821,7 +2811,7 @@ export class SetPattern extends Action
     update(model)
     {
         // Initialize the pattern if it doesn't already exist
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         initPattern(node, this.patIdx);
 
         // Set the currently active pattern
@@ -1835,15 +2825,12 @@ export class SetPattern extends Action
 }
 
 /**
- * Extend the current sequencer pattern
+ * Extend the current sequencer pattern, by one bar by default
  */
 export class ExtendPattern extends Action
 {
     constructor(nodeId, numSteps)
     {
-        if (numSteps === undefined)
-            numSteps = 16;
-
         super();
         this.nodeId = nodeId;
         this.numSteps = numSteps;
@@ -1851,11 +2838,14 @@ export class ExtendPattern extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         let grid = node.patterns[node.curPattern];
         let numRows = grid[0].length;
 
-        for (let stepIdx = 0; stepIdx < this.numSteps; ++stepIdx)
+        let numSteps = (this.numSteps === undefined)? barSteps(node):this.numSteps;
+        numSteps = Math.min(numSteps, MAX_STEPS - grid.length);
+
+        for (let stepIdx = 0; stepIdx < numSteps; ++stepIdx)
         {
             let newStep = new Array(numRows);
             newStep.fill(0);
@@ -1865,15 +2855,13 @@ export class ExtendPattern extends Action
 }
 
 /**
- * Extend the current sequencer pattern by copying previous steps
+ * Extend the current sequencer pattern by copying previous steps,
+ * by one bar by default
  */
 export class ExtendCopy extends Action
 {
     constructor(nodeId, numSteps)
     {
-        if (numSteps === undefined)
-            numSteps = 16;
-
         super();
         this.nodeId = nodeId;
         this.numSteps = numSteps;
@@ -1881,12 +2869,16 @@ export class ExtendCopy extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         let grid = node.patterns[node.curPattern];
-        assert (this.numSteps <= grid.length);
-        let fromIdx = grid.length - this.numSteps;
 
-        for (let stepIdx = 0; stepIdx < this.numSteps; ++stepIdx)
+        // Patterns shorter than a bar are copied whole
+        let numSteps = (this.numSteps === undefined)? Math.min(barSteps(node), grid.length):this.numSteps;
+        assert (numSteps <= grid.length);
+        numSteps = Math.min(numSteps, MAX_STEPS - grid.length);
+        let fromIdx = grid.length - numSteps;
+
+        for (let stepIdx = 0; stepIdx < numSteps; ++stepIdx)
         {
             let prevStep = grid[fromIdx + stepIdx]
             let newStep = prevStep.slice();
@@ -1896,15 +2888,12 @@ export class ExtendCopy extends Action
 }
 
 /**
- * Shrink the current sequencer pattern
+ * Shrink the current sequencer pattern, by one bar by default
  */
 export class ShrinkPattern extends Action
 {
     constructor(nodeId, numSteps)
     {
-        if (numSteps === undefined)
-            numSteps = 16;
-
         super();
         this.nodeId = nodeId;
         this.numSteps = numSteps;
@@ -1912,12 +2901,66 @@ export class ShrinkPattern extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
         let grid = node.patterns[node.curPattern];
         assert (grid);
 
-        assert (this.numSteps < grid.length);
-        grid.length -= this.numSteps;
+        // Patterns shorter than a bar keep at least one step
+        let numSteps = (this.numSteps === undefined)? Math.min(barSteps(node), grid.length - 1):this.numSteps;
+        assert (numSteps < grid.length);
+        grid.length -= numSteps;
+    }
+}
+
+/**
+ * Set the length of the steps of a sequencer pattern, in clock pulses
+ */
+export class SetStepLen extends Action
+{
+    constructor(nodeId, patIdx, stepLen)
+    {
+        assert (Object.values(STEP_LENS).includes(stepLen));
+        super();
+        this.nodeId = nodeId;
+        this.patIdx = patIdx;
+        this.stepLen = stepLen;
+    }
+
+    update(model)
+    {
+        let node = model.getNodeState(this.nodeId);
+        assert (node.patterns[this.patIdx]);
+        node.stepLens[this.patIdx] = this.stepLen;
+    }
+}
+
+/**
+ * Set the number of steps of a sequencer pattern, which
+ * removes steps from the end, or adds empty steps
+ */
+export class SetPatternLength extends Action
+{
+    constructor(nodeId, patIdx, numSteps)
+    {
+        assert (isPosInt(numSteps) && numSteps <= MAX_STEPS);
+        super();
+        this.nodeId = nodeId;
+        this.patIdx = patIdx;
+        this.numSteps = numSteps;
+    }
+
+    update(model)
+    {
+        let node = model.getNodeState(this.nodeId);
+        let grid = node.patterns[this.patIdx];
+        assert (grid);
+        let numRows = grid[0].length;
+
+        if (this.numSteps < grid.length)
+            grid.length = this.numSteps;
+
+        while (grid.length < this.numSteps)
+            grid.push(new Array(numRows).fill(0));
     }
 }
 
@@ -1935,7 +2978,7 @@ export class SendSamples extends Action
 
     update(model)
     {
-        let node = model.state.nodes[this.nodeId];
+        let node = model.getNodeState(this.nodeId);
 
         // If no samples are stored on this node, initialize the array
         if (!node.samples)
@@ -1980,6 +3023,86 @@ export class NoteOn extends Action
     }
 }
 
+/**
+ * MIDI expression message, such as pitch bend or aftertouch.
+ * The value is normalized to [0, 1], or [-1, 1] for pitch bend.
+ * Polyphonic aftertouch applies to a single note.
+ */
+export class MidiExpression extends Action
+{
+    constructor(nodeId, control, value, noteNo = null)
+    {
+        assert (MIDI_CONTROLS.includes(control));
+        super();
+        this.nodeId = nodeId;
+        this.control = control;
+        this.value = value;
+        this.noteNo = noteNo;
+    }
+
+    update(model)
+    {
+    }
+
+    get undoable()
+    {
+        return false;
+    }
+}
+
+/**
+ * MIDI clock or transport message received by a MidiClockIn node.
+ * Song positions are in 16th notes.
+ */
+export class MidiClock extends Action
+{
+    constructor(nodeId, event, songPos = null)
+    {
+        assert (MIDI_CLOCK_EVENTS.includes(event));
+        assert (event != 'position' || isNonNegInt(songPos));
+        super();
+        this.nodeId = nodeId;
+        this.event = event;
+        this.songPos = songPos;
+    }
+
+    update(model)
+    {
+    }
+
+    get undoable()
+    {
+        return false;
+    }
+}
+
+/**
+ * MIDI note sent by a MidiOut node.
+ * Velocity zero means note off.
+ */
+export class NoteOut extends Action
+{
+    constructor(nodeId, time, deviceName, chanNo, noteNo, velocity)
+    {
+        super();
+        this.nodeId = nodeId;
+        this.time = time;
+        this.deviceName = deviceName;
+        this.chanNo = chanNo;
+        this.noteNo = noteNo;
+        this.velocity = velocity;
+    }
+
+    update(model)
+    {
+    }
+
+    get undoable()
+    {
+        return false;
+    }
+}
+
 /**
  * Clock pulse message.
  * Used by the ClockOut node.
@@ -2003,6 +3126,53 @@ export class ClockPulse extends Action
     }
 }
 
+/**
+ * Enable or disable profiling of the time spent in each class of
+ * audio node by the audio thread
+ */
+export class SetProfiling extends Action
+{
+    constructor(enabled)
+    {
+        super();
+        this.enabled = enabled;
+    }
+
+    update(model)
+    {
+        model.profiling = this.enabled;
+    }
+
+    get undoable()
+    {
+        return false;
+    }
+}
+
+/**
+ * CPU load report from the audio thread, as the fraction of the time
+ * available to generate audio that was used. If profiling is enabled,
+ * the fraction used by each class of node is also reported.
+ */
+export class SetCpuLoad extends Action
+{
+    constructor(load, profile)
+    {
+        super();
+        this.load = load;
+        this.profile = profile;
+    }
+
+    update(model)
+    {
+    }
+
+    get undoable()
+    {
+        return false;
+    }
+}
+
 /**
  * Graph of nodes model, operates on internal state data
  */
@@ -2041,6 +3211,7 @@ export class Model
         // Persistent state
         this.state = {
             title: 'New Project',
+            seed: randInt(0, MAX_SEED),
             nodes: {},
         };
 
@@ -2056,22 +3227,30 @@ export class Model
         // Check that the state encoding is valid
         validateProject(state);
 
-        // Initialize missing params to default values
+        // Initialize missing params to default values, including
+        // those of the nodes inside of modules
         // This is for backwards compatibility with older projects
-        for (let id in state.nodes)
+        function initParams(nodes)
         {
-            let node = state.nodes[id];
-            let keys = Object.keys(node);
-            let schema = NODE_SCHEMA[node.type];
-            for (let param of schema.params)
+            for (let id in nodes)
             {
-                if (!(param.name in node.params))
+                let node = nodes[id];
+                let schema = NODE_SCHEMA[node.type];
+                for (let param of schema.params)
                 {
-                    node.params[param.name] = param.default;
+                    if (!(param.name in node.params))
+                    {
+                        node.params[param.name] = param.default;
+                    }
                 }
+
+                if (node.type == 'Module')
+                    initParams(node.nodes);
             }
         }
 
+        initParams(state.nodes);
+
         // Recursively find the maximum nodeId in a set of nodes
         function findMaxId(nodes, maxId)
         {
@@ -2105,6 +3284,9 @@ export class Model
         // Flag indicating if we're playing audio or not
         this.playing = false;
 
+        // Flag indicating if the audio thread is profiling node classes
+        this.profiling = false;
+
         // Broadcast state update
         this.broadcast(this.state, null);
     }
@@ -2143,13 +3325,44 @@ export class Model
         return nodeId;
     }
 
+    /**
+     * Find the graph directly containing a given nodeId
+     * This is either the project state or a module node
+     * Returns null if the node doesn't exist
+     */
+    findGraph(nodeId)
+    {
+        function find(graph)
+        {
+            if (nodeId in graph.nodes)
+                return graph;
+
+            for (let id in graph.nodes)
+            {
+                let node = graph.nodes[id];
+                if (node.type != 'Module')
+                    continue;
+
+                let found = find(node);
+                if (found)
+                    return found;
+            }
+
+            return null;
+        }
+
+        return find(this.state);
+    }
+
     /**
      * Get the current state for a given nodeId
+     * The node can be nested inside of modules
      */
     getNodeState(nodeId)
     {
-        assert (nodeId in this.state.nodes);
-        return this.state.nodes[nodeId];
+        let graph = this.findGraph(nodeId);
+        assert (graph);
+        return graph.nodes[nodeId];
     }
 
     /**
@@ -2192,11 +3405,13 @@ export class Model
         // Start by fully copying node information.
         for (let nodeId of nodeIds)
         {
-            let node = this.state.nodes[nodeId];
+            let graph = this.findGraph(nodeId);
 
-            if (!node)
+            if (!graph)
                 continue;
 
+            let node = graph.nodes[nodeId];
+
             data.nodes[nodeId] = treeCopy(node);
         }
 
@@ -2240,7 +3455,7 @@ export class Model
     {
         //console.log('update model', action.constructor.name);
 
-        assert (!('nodeId' in action) || action.nodeId in this.state.nodes);
+        assert (!('nodeId' in action) || this.findGraph(action.nodeId));
 
         // If this action is undoable
         if (action.undoable)
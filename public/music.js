@@ -119,6 +119,19 @@ Array of note numbers to note objects
 */
 Note.notesByNo = [];
 
+/**
+Get the number of the note closest to a frequency
+*/
+Note.freqToNo = function (freq)
+{
+    assert (freq > 0, 'invalid frequency');
+
+    // n = 69 + 12 * log2(F / 440)
+    return Math.round(
+        A4_NOTE_NO + NOTES_PER_OCTAVE * Math.log2(freq / A4_NOTE_FREQ)
+    );
+}
+
 /**
 Get the note number for a note name
 */
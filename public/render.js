@@ -0,0 +1,153 @@
+import { assert, isPosInt } from './utils.js';
+import { compile } from './compiler.js';
+import { AudioGraph, BLOCK_SIZE } from './audiograph.js';
+
+/**
+ * Sample formats supported for WAV file export
+ */
+export const WAV_FORMATS = {
+    int16: { bytesPerSample: 2, formatTag: 1 },
+    int24: { bytesPerSample: 3, formatTag: 1 },
+    float32: { bytesPerSample: 4, formatTag: 3 },
+};
+
+/**
+ * Sample rates supported for offline rendering
+ */
+export const SAMPLE_RATES = [44100, 48000, 88200, 96000];
+
+/**
+ * Find the tempo of the first Clock node in a project, in BPM
+ * Returns null if the project has no Clock node
+ */
+export function getTempo(project)
+{
+    for (let nodeId in project.nodes)
+    {
+        let node = project.nodes[nodeId];
+
+        if (node.type == 'Clock')
+            return node.params.value;
+
+        // Look for clocks inside of modules
+        if (node.type == 'Module')
+        {
+            let tempo = getTempo(node);
+            if (tempo !== null)
+                return tempo;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Compute the duration in seconds of a number of 4/4 bars at a given tempo
+ */
+export function barsToSeconds(numBars, tempo)
+{
+    assert (tempo > 0);
+    return numBars * 4 * 60 / tempo;
+}
+
+/**
+ * Render audio for a project faster than real-time
+ * This compiles the project and runs the audio graph outside of the
+ * audio thread. Messages the audio nodes would send to the main
+ * thread are discarded.
+ * Returns the left and right channels as Float32Arrays.
+ */
+export function renderProject(project, numSamples, sampleRate)
+{
+    assert (isPosInt(numSamples));
+
+    let audioGraph = new AudioGraph(sampleRate, function (msg) {});
+    audioGraph.newUnit(compile(project));
+
+    let left = new Float32Array(numSamples);
+    let right = new Float32Array(numSamples);
+
+    for (let i = 0; i < numSamples; i += BLOCK_SIZE)
+    {
+        let end = Math.min(i + BLOCK_SIZE, numSamples);
+        audioGraph.genBlock(left.subarray(i, end), right.subarray(i, end));
+    }
+
+    return { left: left, right: right };
+}
+
+/**
+ * Encode stereo audio samples into the contents of a WAV file
+ * Integer sample values are clipped to the [-1, 1] range.
+ * Returns an ArrayBuffer.
+ */
+export function encodeWAV(left, right, sampleRate, format)
+{
+    assert (left.length == right.length);
+    assert (format in WAV_FORMATS);
+
+    let { bytesPerSample, formatTag } = WAV_FORMATS[format];
+    let numChannels = 2;
+    let blockAlign = numChannels * bytesPerSample;
+    let dataSize = left.length * blockAlign;
+
+    let buffer = new ArrayBuffer(44 + dataSize);
+    let view = new DataView(buffer);
+
+    function writeString(offset, str)
+    {
+        for (let i = 0; i < str.length; ++i)
+            view.setUint8(offset + i, str.charCodeAt(i));
+    }
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // Format chunk
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, formatTag, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+
+    // Data chunk
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+
+    for (let i = 0; i < left.length; ++i)
+    {
+        for (let val of [left[i], right[i]])
+        {
+            switch (format)
+            {
+                case 'int16':
+                val = Math.max(-1, Math.min(1, val));
+                view.setInt16(offset, Math.round(val * 32767), true);
+                break;
+
+                case 'int24':
+                val = Math.max(-1, Math.min(1, val));
+                val = Math.round(val * 8388607);
+                view.setUint8(offset, val & 0xFF);
+                view.setUint8(offset + 1, (val >> 8) & 0xFF);
+                view.setUint8(offset + 2, (val >> 16) & 0xFF);
+                break;
+
+                case 'float32':
+                view.setFloat32(offset, val, true);
+                break;
+            }
+
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
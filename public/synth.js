@@ -196,10 +196,14 @@ ADSREnv.prototype.eval = function (curTime, gate, attack, decay, susVal, release
 /**
 Basic IIR, 2-pole, resonant Low Pass Filter (LPF)
 */
-export function TwoPoleFilter()
+export function TwoPoleFilter(sampleRate)
 {
     this.s0 = 0;
     this.s1 = 0;
+
+    // The cutoff curve was tuned at 44100Hz, so the cutoff coefficient
+    // gets scaled to keep the same cutoff frequency at other sample rates
+    this.rateScale = 44100 / sampleRate;
 }
 
 TwoPoleFilter.prototype.apply = function (s, cutoff, resonance)
@@ -210,7 +214,7 @@ TwoPoleFilter.prototype.apply = function (s, cutoff, resonance)
     cutoff = Math.min(cutoff, 1);
     resonance = Math.max(resonance, 0)
 
-    var c = Math.pow(0.5, (1 - cutoff) / 0.125);
+    var c = Math.min(Math.pow(0.5, (1 - cutoff) / 0.125) * this.rateScale, 1);
     var r = Math.pow(0.5, (resonance + 0.125) / 0.125);
     var mrc = 1 - r * c;
 
@@ -232,8 +236,10 @@ TwoPoleFilter.prototype.apply = function (s, cutoff, resonance)
 Original code by Aaron Krajeski
 http://song-swap.com/MUMT618/aaron/Presentation/demo.html
 */
-export function KrajeskiFilter()
+export function KrajeskiFilter(sampleRate)
 {
+    this.sampleRate = sampleRate;
+
     this.state = [0,0,0,0,0];
     this.delay = [0,0,0,0,0];
 
@@ -294,8 +300,7 @@ Unstable above 15KHz (clicks and pops)
 */
 KrajeskiFilter.prototype.setCutoff = function (cutoff)
 {
-    var sampleRate = 44100;
-	var wc = 2 * Math.PI * cutoff / sampleRate;
+	var wc = 2 * Math.PI * cutoff / this.sampleRate;
     this.wc = wc;
 	this.g = 0.9892 * wc - 0.4342 * Math.pow(wc, 2) + 0.1381 * Math.pow(wc, 3) - 0.0202 * Math.pow(wc, 4);
 }
@@ -355,3 +360,28 @@ export class Delay
         return this.buffer[this.readIdx];
     }
 }
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * Nodes that produce random values use this instead of Math.random
+ * so that a project sounds the same every time it is played.
+ */
+export class Random
+{
+    constructor(seed)
+    {
+        assert (Number.isInteger(seed));
+        this.state = seed | 0;
+    }
+
+    /**
+     * Generate a random floating-point number within [0, 1[
+     */
+    next()
+    {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
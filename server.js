@@ -64,6 +64,14 @@ db.run(`CREATE table IF NOT EXISTS users (
     reg_ip STRING NOT NULL,
     access STRING NOT NULL DEFAULT 'default');`
 );
+db.run(`CREATE table IF NOT EXISTS modules (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER,
+    name TEXT NOT NULL,
+    data BLOB,
+    submit_time BIGINT,
+    submit_ip STRING NOT NULL);`
+);
 db.run(`CREATE table IF NOT EXISTS sessions (
     user_id INTEGER,
     session_id TEXT NOT NULL,
@@ -339,6 +347,26 @@ async function insertProject(userId, title, data, crc32, submitTime, submitIP)
     });
 }
 
+// Insert a shared module into the database
+async function insertModule(userId, name, data, submitTime, submitIP)
+{
+    return new Promise((resolve, reject) => {
+        db.run(
+            'INSERT INTO modules ' +
+            '(user_id, name, data, submit_time, submit_ip) ' +
+            'VALUES (?, ?, ?, ?, ?);',
+            [userId, name, data, submitTime, submitIP],
+            function (err)
+            {
+                if (err)
+                    return reject('failed to insert module');
+
+                resolve(this.lastID);
+            }
+        );
+    });
+}
+
 // Run a query that returns a single row with a value,
 // and then extract the value
 function getQueryValue(sqlQuery, vars)
@@ -812,6 +840,111 @@ app.delete('/projects', async function (req, res)
     }
 })
 
+// POST /modules
+// Share a module from the module library
+app.post('/modules', jsonParser, async function (req, res)
+{
+    try
+    {
+        var userId = req.body.userId;
+        var sessionId = req.body.sessionId;
+        var name = req.body.name;
+        var data = req.body.data;
+
+        // Validate the module name
+        if (typeof name != 'string' || name.length == 0 || name.length > model.MAX_NODE_NAME_LENGTH)
+            return res.sendStatus(400);
+
+        // Limit the length of the data, max 1MB
+        if (typeof data != 'string' || data.length > 1_000_000)
+            return res.sendStatus(400);
+
+        // Check that the session is valid
+        await checkSession(userId, sessionId);
+
+        // Parse and validate the module data
+        let module = JSON.parse(data);
+        model.validateLibModule(module);
+
+        // The name must match the module node's name
+        if (Object.values(module.nodes)[0].name != name)
+            return res.sendStatus(400);
+
+        var submitTime = Date.now();
+        var submitIP = getClientIP(req);
+
+        // Insert the module in the database
+        let moduleId = await insertModule(
+            userId,
+            name,
+            data,
+            submitTime,
+            submitIP
+        );
+
+        console.log(
+            'module submission successful, id: ' + moduleId +
+            ' (' + data.length + ' bytes)'
+        );
+
+        res.statusCode = 201;
+        res.setHeader('Content-Type', 'application/json');
+        return res.send(JSON.stringify({ moduleId: moduleId }));
+    }
+
+    catch (e)
+    {
+        console.log('module submit request failed');
+        console.log(e);
+        return res.sendStatus(400);
+    }
+})
+
+// GET /modules/user - list the modules shared by a given user
+app.get('/modules/user/:userId', function (req, res)
+{
+    let userId = req.params.userId;
+    if (isNaN(userId) || userId < 1)
+        return res.sendStatus(400);
+
+    db.all(
+        'SELECT id, name, submit_time FROM modules WHERE user_id == ? ORDER BY submit_time DESC;',
+        [userId],
+        function (err, rows)
+        {
+            if (err)
+            {
+                console.log(err);
+                return res.sendStatus(400);
+            }
+
+            res.setHeader('Content-Type', 'application/json');
+            res.send(JSON.stringify(rows));
+        }
+    );
+})
+
+// GET /modules - returns module by ID
+app.get('/modules/:id', function (req, res)
+{
+    let moduleId = req.params.id;
+    if (isNaN(moduleId) || moduleId < 1)
+        return res.sendStatus(400);
+
+    db.get(
+        'SELECT user_id, name, data FROM modules WHERE id == ?;',
+        [moduleId],
+        function (err, row)
+        {
+            if (err || !row)
+                return res.sendStatus(404);
+
+            res.setHeader('Content-Type', 'application/json');
+            res.send(JSON.stringify(row));
+        }
+    );
+})
+
 //============================================================================
 
 const server = app.listen(serverHTTPPortNo, () =>
@@ -1,8 +1,12 @@
 import fs from 'fs';
 import path from 'path';
-import { assert } from './public/utils.js';
+import { assert, treeCopy, treeEq } from './public/utils.js';
 import * as model from './public/model.js';
-import { compile } from './public/compiler.js';
+import { compile, CompileError } from './public/compiler.js';
+import * as render from './public/render.js';
+import * as music from './public/music.js';
+import { AudioGraph, BLOCK_SIZE } from './public/audiograph.js';
+import { AudioView } from './public/audioview.js';
 
 function assertThrows(fn)
 {
@@ -82,6 +86,994 @@ function assertThrows(fn)
     assert (m.numNodes == 2);
 }
 
+// Test ungrouping
+{
+    var m = new model.Model();
+    m.new();
+    let knob = m.update(new model.CreateNode('Knob', 0, 0));
+    let sine = m.update(new model.CreateNode('Sine', 10, 10));
+    let mul = m.update(new model.CreateNode('Mul', 20, 20));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(knob, 0, sine, 0));
+    m.update(new model.ConnectNodes(knob, 0, mul, 1));
+    m.update(new model.ConnectNodes(sine, 0, mul, 0));
+    m.update(new model.ConnectNodes(mul, 0, out, 0));
+    let flatState = treeCopy(m.state);
+
+    // Ungroup a module nested inside another module
+    m.update(new model.GroupNodes([sine, mul]));
+    let outer = String(m.nextFreeId - 1);
+    m.update(new model.GroupNodes([sine]));
+    let inner = String(m.nextFreeId - 1);
+    m.update(new model.UngroupNodes(inner));
+    assert (m.findGraph(sine) === m.getNodeState(outer));
+    m.update(new model.UngroupNodes(outer));
+    assert (treeEq(m.state, flatState));
+
+    m.undo();
+    assert (m.numNodes == 3);
+    m.undo();
+    m.undo();
+    m.undo();
+    assert (treeEq(m.state, flatState));
+}
+
+// Test instantiating modules from the module library
+{
+    var m = new model.Model();
+    m.new();
+    let sine = m.update(new model.CreateNode('Sine', 10, 10));
+    let mul = m.update(new model.CreateNode('Mul', 20, 20));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(sine, 0, mul, 0));
+    m.update(new model.ConnectNodes(mul, 0, out, 0));
+    m.update(new model.GroupNodes([sine, mul]));
+    let module = String(m.nextFreeId - 1);
+    m.update(new model.GroupNodes([sine]));
+
+    // Library modules are stored in the same format as copied nodes
+    let data = m.copy([module]);
+    model.validateLibModule(JSON.parse(JSON.stringify(data)));
+    assertThrows(() => model.validateLibModule(m.copy([out])));
+
+    let paste = new model.Paste(treeCopy(data), 50, 50);
+    m.update(paste);
+    m.update(new model.Paste(treeCopy(data), 80, 80, module));
+    assert (m.numNodes == 3);
+    assert (Object.keys(m.getNodeState(module).nodes).length == 3);
+
+    // The nodes inside the instantiated modules get new ids
+    let [copy] = paste.pastedIds;
+    assert (!(sine in m.getNodeState(copy).nodes));
+    assert (m.findGraph(sine) !== m.findGraph(copy));
+
+    // Node ids must be unique for the project to compile
+    let m2 = new model.Model();
+    m2.deserialize(m.serialize());
+    compile(m2.state);
+}
+
+// Test compiling modules
+{
+    var m = new model.Model();
+    m.new();
+    let knob = m.update(new model.CreateNode('Knob', 0, 0));
+    let sine = m.update(new model.CreateNode('Sine', 10, 10));
+    let mul = m.update(new model.CreateNode('Mul', 20, 20));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(knob, 0, sine, 0));
+    m.update(new model.ConnectNodes(knob, 0, mul, 1));
+    m.update(new model.ConnectNodes(sine, 0, mul, 0));
+    m.update(new model.ConnectNodes(mul, 0, out, 0));
+    m.update(new model.ConnectNodes(mul, 0, out, 1));
+    let flatSrc = compile(m.state).src;
+
+    // Nested modules
+    m.update(new model.GroupNodes([sine]));
+    m.update(new model.GroupNodes([mul, String(m.nextFreeId - 1)]));
+    assert (m.numNodes == 3);
+    assert (!m.detectCycles(new model.ConnectNodes(knob, 0, out, 0)));
+
+    // The modules must survive serialization
+    let m2 = new model.Model();
+    m2.deserialize(m.serialize());
+    let unit = compile(m2.state);
+    assert (unit.src == flatSrc);
+    assert (sine in unit.nodes);
+}
+
+// Test the compiler optimization passes
+{
+    var m = new model.Model();
+    m.new();
+    let sine = m.update(new model.CreateNode('Sine', 0, 0));
+    let nop0 = m.update(new model.CreateNode('Nop', 10, 10));
+    let nop1 = m.update(new model.CreateNode('Nop', 20, 20));
+    let add = m.update(new model.CreateNode('Add', 30, 30));
+    let saw = m.update(new model.CreateNode('Saw', 40, 40));
+    let out = m.update(new model.CreateNode('AudioOut', 50, 50));
+    m.update(new model.ConnectNodes(sine, 0, nop0, 0));
+    m.update(new model.ConnectNodes(nop0, 0, nop1, 0));
+    m.update(new model.ConnectNodes(nop1, 0, out, 0));
+    m.update(new model.ConnectNodes(add, 0, out, 1));
+
+    let unit = compile(m.state);
+
+    // The saw oscillator doesn't reach the output
+    assert (sine in unit.nodes);
+    assert (!(saw in unit.nodes));
+
+    // The Nop chain and the constant addition are gone
+    assert (!unit.src.includes(`n${nop0}_0`));
+    assert (!unit.src.includes(`n${nop1}_0`));
+    assert (!unit.src.includes(`n${add}_0`));
+    assert (unit.src.includes(`let n${out}_0 = 0.3 * n${sine}_0`));
+    assert (unit.src.includes(`let n${out}_1 = 0.3 * 0`));
+
+    // Arithmetic on the outputs of Const nodes gets folded
+    let c0 = m.update(new model.CreateNode('Const', 60, 60));
+    let c1 = m.update(new model.CreateNode('Const', 60, 70));
+    let mul = m.update(new model.CreateNode('Mul', 70, 70));
+    m.update(new model.SetParam(c0, 'value', 2));
+    m.update(new model.SetParam(c1, 'value', 3));
+    m.update(new model.ConnectNodes(c0, 0, mul, 0));
+    m.update(new model.ConnectNodes(c1, 0, mul, 1));
+    m.update(new model.ConnectNodes(mul, 0, add, 0));
+    m.update(new model.ConnectNodes(add, 0, out, 1));
+    unit = compile(m.state);
+    assert (!(c0 in unit.nodes) && !(c1 in unit.nodes));
+    assert (unit.src.includes(`let n${out}_1 = 0.3 * 6`));
+
+    // Changing the value of a Const node recompiles the unit
+    let view = new AudioView(m);
+    let sent = [];
+    view.audioWorklet = { port: { postMessage: msg => sent.push(msg) } };
+    m.update(new model.SetParam(c1, 'value', 4));
+    assert (sent.length == 1 && sent[0].type == 'NEW_UNIT');
+    assert (sent[0].unit.src.includes(`let n${out}_1 = 0.3 * 8`));
+}
+
+// Test that compilation errors report the offending node
+{
+    var m = new model.Model();
+    m.new();
+    let out0 = m.update(new model.CreateNode('AudioOut', 0, 0));
+    let out1 = m.update(new model.CreateNode('AudioOut', 10, 10));
+
+    let error = null;
+    try
+    {
+        compile(m.state);
+    }
+    catch (e)
+    {
+        error = e;
+    }
+
+    assert (error instanceof CompileError);
+    assert (error.code == 'MULTIPLE_AUDIO_OUT');
+    assert (error.nodeId == out0 || error.nodeId == out1);
+}
+
+// Test editing nodes inside of a module
+{
+    var m = new model.Model();
+    m.new();
+    let knob = m.update(new model.CreateNode('Knob', 0, 0));
+    let sine = m.update(new model.CreateNode('Sine', 10, 10));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(knob, 0, sine, 0));
+    m.update(new model.ConnectNodes(sine, 0, out, 0));
+    m.update(new model.GroupNodes([sine]));
+    let module = String(m.nextFreeId - 1);
+    assert (m.findGraph(sine) === m.getNodeState(module));
+
+    // Add a gain stage between the sine and the module output
+    let mul = m.update(new model.CreateNode('Mul', 20, 20, module));
+    let gain = m.update(new model.CreateNode('Const', 20, 40, module));
+    assert (m.numNodes == 3);
+    m.update(new model.ConnectNodes(sine, 0, mul, 0));
+    m.update(new model.ConnectNodes(gain, 0, mul, 1));
+    m.update(new model.ConnectModuleOut(mul, 0, module, 0));
+    m.update(new model.MoveNodes([mul, gain], 5, 5));
+    m.update(new model.SetParam(gain, 'value', 0.5));
+    assert (m.getNodeState(gain).params.value == 0.5);
+    assertThrows(() => m.update(new model.ConnectNodes(knob, 0, mul, 0)));
+    assertThrows(() => m.update(new model.CreateNode('AudioOut', 0, 0, module)));
+
+    // Reconnect the module input directly to the gain stage
+    m.update(new model.ConnectModuleIn(module, 0, mul, 0));
+    assert (m.getNodeState(mul).ins[0] === 0);
+    m.undo();
+    assert (treeEq(m.getNodeState(mul).ins[0], [sine, 0]));
+
+    // Deleting the node attached to a module output disconnects it
+    let m2 = new model.Model();
+    m2.deserialize(m.serialize());
+    m2.update(new model.DeleteNodes([mul]));
+    assert (m2.getNodeState(module).outs[0] === null);
+    compile(m2.state);
+    m2.deserialize(m2.serialize());
+
+    // The gain stage is compiled into the audio output
+    let unit = compile(m.state);
+    assert (unit.src.includes(`n${mul}_0`));
+}
+
+// Test offline rendering to a WAV file
+{
+    var m = new model.Model();
+    m.new();
+    let clock = m.update(new model.CreateNode('Clock', 0, 0));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(clock, 0, out, 0));
+    m.update(new model.ConnectNodes(clock, 0, out, 1));
+
+    let tempo = render.getTempo(m.state);
+    assert (tempo == m.getNodeState(clock).params.value);
+    assert (render.barsToSeconds(1, 120) == 2);
+
+    let { left, right } = render.renderProject(m.state, 4410, 44100);
+    assert (left.length == 4410 && right.length == 4410);
+    assert (left.some(v => v != 0));
+
+    for (let format in render.WAV_FORMATS)
+    {
+        let bytes = render.WAV_FORMATS[format].bytesPerSample;
+        let view = new DataView(render.encodeWAV(left, right, 44100, format));
+        assert (view.byteLength == 44 + 4410 * 2 * bytes);
+        assert (view.getUint32(40, true) == 4410 * 2 * bytes);
+        assert (view.getUint16(34, true) == bytes * 8);
+    }
+}
+
+// Test rendering at sample rates other than 44100Hz
+{
+    var m = new model.Model();
+    m.new();
+    let freq = m.update(new model.CreateNode('Const', 0, 0));
+    let sine = m.update(new model.CreateNode('Sine', 10, 10));
+    let filter = m.update(new model.CreateNode('Filter', 20, 20));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.SetParam(freq, 'value', 100));
+    m.update(new model.ConnectNodes(freq, 0, sine, 0));
+    m.update(new model.ConnectNodes(sine, 0, filter, 0));
+    m.update(new model.ConnectNodes(filter, 0, out, 0));
+
+    // Count the rising zero crossings in one second of audio
+    function countCycles(sampleRate)
+    {
+        let { left } = render.renderProject(m.state, sampleRate, sampleRate);
+        let count = 0;
+        for (let i = 1; i < left.length; ++i)
+            if (left[i-1] < 0 && left[i] >= 0)
+                count++;
+        return count;
+    }
+
+    for (let sampleRate of render.SAMPLE_RATES)
+        assert (Math.abs(countCycles(sampleRate) - 100) <= 1);
+}
+
+// Test that stopping a recording twice only stops it once
+{
+    var m = new model.Model();
+    m.new();
+    let view = new AudioView(m);
+
+    // Stand-ins for the audio context and audio thread
+    let sent = [];
+    view.audioCtx = { sampleRate: 44100 };
+    view.audioWorklet = { port: { postMessage: msg => sent.push(msg) } };
+
+    view.startRecording();
+    let done = view.stopRecording();
+    assert (done instanceof Promise);
+    assert (view.stopRecording() === null);
+    assert (sent.filter(msg => msg.type == 'STOP_RECORDING').length == 1);
+
+    view.onmessage({ data: { type: 'RECORD_SAMPLES', left: new Float32Array(4), right: new Float32Array(4) } });
+    view.onmessage({ data: { type: 'RECORDING_STOPPED' } });
+    assert (view.recording === null);
+    done.then(({ left }) => assert (left.length == 4));
+}
+
+// Test that swapping units fades between them without clicks
+{
+    var m = new model.Model();
+    m.new();
+    let pos = m.update(new model.CreateNode('Const', 0, 0));
+    let neg = m.update(new model.CreateNode('Const', 10, 10));
+    let out = m.update(new model.CreateNode('AudioOut', 20, 20));
+    m.update(new model.SetParam(pos, 'value', 1));
+    m.update(new model.SetParam(neg, 'value', -1));
+    m.update(new model.ConnectNodes(pos, 0, out, 0));
+    m.update(new model.ConnectNodes(pos, 0, out, 1));
+
+    let graph = new AudioGraph(44100, msg => {});
+    graph.newUnit(compile(m.state));
+
+    let samples = [];
+    function genBlocks(numBlocks)
+    {
+        for (let i = 0; i < numBlocks; ++i)
+        {
+            let left = new Float32Array(BLOCK_SIZE);
+            let right = new Float32Array(BLOCK_SIZE);
+            graph.genBlock(left, right);
+            samples.push(...left);
+        }
+    }
+
+    genBlocks(2);
+    m.update(new model.ConnectNodes(neg, 0, out, 0));
+    graph.newUnit(compile(m.state));
+    genBlocks(4);
+
+    assert (Math.abs(samples[0] - 0.3) < 1e-6);
+    assert (Math.abs(samples[samples.length-1] + 0.3) < 1e-6);
+    for (let i = 1; i < samples.length; ++i)
+        assert (Math.abs(samples[i] - samples[i-1]) < 0.01);
+
+    // Units with the same output crossfade without a dip
+    samples = [];
+    graph.newUnit(compile(m.state));
+    genBlocks(2);
+    assert (samples.every(s => Math.abs(s + 0.3) < 1e-6));
+}
+
+// Test that swapping units doesn't copy the delay buffers, so that
+// the cost of a swap doesn't grow with the size of the buffers
+{
+    var m = new model.Model();
+    m.new();
+    let sine = m.update(new model.CreateNode('Sine', 0, 0));
+    let delay = m.update(new model.CreateNode('Delay', 30, 0));
+    let out = m.update(new model.CreateNode('AudioOut', 60, 0));
+    m.update(new model.ConnectNodes(sine, 0, delay, 0));
+    m.update(new model.ConnectNodes(delay, 0, out, 0));
+
+    let graph = new AudioGraph(44100, msg => {});
+    graph.newUnit(compile(m.state));
+    graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+
+    m.update(new model.ConnectNodes(sine, 0, out, 1));
+    graph.newUnit(compile(m.state));
+
+    // The fading unit has its own copy of the delay node,
+    // which shares the delay buffer of the original
+    let oldDelay = graph.prevUnit.nodes[delay];
+    assert (oldDelay !== graph.nodes[delay]);
+    assert (oldDelay.delay.buffer === graph.nodes[delay].delay.buffer);
+    assert (graph.prevUnit.nodes[sine] !== graph.nodes[sine]);
+}
+
+// Test that nodes whose state can't carry over get replaced in new units
+{
+    var m = new model.Model();
+    m.new();
+    let clock = m.update(new model.CreateNode('Clock', 0, 0));
+    let gateSeq = m.update(new model.CreateNode('GateSeq', 0, 30));
+    let monoSeq = m.update(new model.CreateNode('MonoSeq', 0, 60));
+    let midiIn = m.update(new model.CreateNode('MidiIn', 0, 90));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 90));
+    m.update(new model.ConnectNodes(midiIn, 1, out, 0));
+    m.update(new model.ConnectNodes(clock, 0, gateSeq, 0));
+    m.update(new model.ConnectNodes(clock, 0, monoSeq, 0));
+
+    let graph = new AudioGraph(44100, msg => {});
+    graph.newUnit(compile(m.state));
+    for (let i = 0; i < 100; ++i)
+        graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+
+    let nodes = graph.nodes.slice();
+    let nextStep = nodes[gateSeq].nextStep;
+    assert (nextStep > 0);
+
+    graph.newUnit(compile(m.state));
+    assert (graph.nodes.every((node, nodeId) => node === nodes[nodeId]));
+
+    m.update(new model.SetNumRows(gateSeq, 6));
+    m.update(new model.SetScale(monoSeq, 'A2', 'natural minor', 2));
+    m.update(new model.SetNumVoices(midiIn, 3));
+    graph.newUnit(compile(m.state));
+    assert (graph.nodes[clock] === nodes[clock]);
+    assert (graph.nodes[gateSeq] !== nodes[gateSeq]);
+    assert (graph.nodes[monoSeq] !== nodes[monoSeq]);
+    assert (graph.nodes[midiIn] !== nodes[midiIn]);
+    assert (graph.nodes[midiIn].voices.length == 3);
+
+    // Fresh sequencers stay in sync with the clock
+    assert (graph.nodes[gateSeq].nextStep == nextStep);
+}
+
+// Test profiling the time spent in each class of node
+{
+    var m = new model.Model();
+    m.new();
+    let sine = m.update(new model.CreateNode('Sine', 0, 0));
+    let delay = m.update(new model.CreateNode('Delay', 10, 10));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(sine, 0, delay, 0));
+    m.update(new model.ConnectNodes(delay, 0, out, 0));
+    m.update(new model.ConnectNodes(sine, 0, out, 1));
+
+    let graph = new AudioGraph(44100, msg => {});
+    graph.newUnit(compile(m.state));
+    assert (graph.profile === null);
+
+    let reference = new AudioGraph(44100, msg => {});
+    reference.newUnit(compile(m.state));
+
+    graph.parseMsg({ type: 'SET_PROFILING', enabled: true });
+
+    for (let i = 0; i < 4; ++i)
+    {
+        let outL = new Float32Array(BLOCK_SIZE);
+        let outR = new Float32Array(BLOCK_SIZE);
+        graph.genBlock(outL, outR);
+
+        // Replaying the sampled calls doesn't change the output
+        let refL = new Float32Array(BLOCK_SIZE);
+        let refR = new Float32Array(BLOCK_SIZE);
+        reference.genBlock(refL, refR);
+        assert (outL.every((v, i) => v === refL[i]));
+        assert (outR.every((v, i) => v === refR[i]));
+    }
+
+    // Node types get sampled one block at a time
+    assert (graph.profile['Sine'].frames == 2 * BLOCK_SIZE);
+    assert (graph.profile['Delay'].frames == 2 * BLOCK_SIZE);
+    assert (graph.profile['Sine'].time >= 0);
+    assert (graph.nodes[sine].callLog.length == 0);
+}
+
+// Test that noise is reproducible given the project seed
+{
+    var m = new model.Model();
+    m.new();
+    let noise = m.update(new model.CreateNode('Noise', 0, 0));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(noise, 0, out, 0));
+    m.update(new model.SetSeed(1234));
+
+    let a = render.renderProject(m.state, 100, 44100);
+    let b = render.renderProject(m.state, 100, 44100);
+    assert (treeEq(Array.from(a.left), Array.from(b.left)));
+
+    m.update(new model.SetSeed(4321));
+    let c = render.renderProject(m.state, 100, 44100);
+    assert (!treeEq(Array.from(a.left), Array.from(c.left)));
+
+    assertThrows(() => m.update(new model.SetSeed(-1)));
+    assertThrows(() => m.update(new model.SetSeed(model.MAX_SEED + 1)));
+
+    // Projects saved without a seed get a default one
+    let data = JSON.parse(m.serialize());
+    delete data.seed;
+    m.deserialize(JSON.stringify(data));
+    assert (m.state.seed === 0);
+}
+
+// Test polyphonic MIDI input and voice stealing
+{
+    var m = new model.Model();
+    m.new();
+    let midiIn = m.update(new model.CreateNode('MidiIn', 0, 0));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    assert (m.state.nodes[midiIn].outNames[1] == 'gate');
+
+    // Connections from voices that are removed get disconnected,
+    // and the outputs shared by all voices follow the last voice
+    m.update(new model.SetNumVoices(midiIn, 3));
+    assert (m.state.nodes[midiIn].outNames[9] == 'gate2');
+    m.update(new model.ConnectNodes(midiIn, 9, out, 0));
+    m.update(new model.ConnectNodes(midiIn, 13, out, 1));
+    m.update(new model.SetNumVoices(midiIn, 2));
+    assert (m.state.nodes[midiIn].outNames.length == 11);
+    assert (m.state.nodes[midiIn].outNames[9] == 'bend');
+    assert (treeEq(m.state.nodes[out].ins, [null, [midiIn, 9]]));
+    m.update(new model.ConnectNodes(midiIn, 1, out, 0));
+    m.update(new model.ConnectNodes(midiIn, 5, out, 1));
+
+    let graph = new AudioGraph(44100, msg => {});
+    graph.newUnit(compile(m.state));
+    let node = graph.nodes[midiIn];
+
+    function noteOn(noteNo, velocity)
+    {
+        graph.parseMsg({ type: 'NOTE_ON', nodeId: midiIn, noteNo: noteNo, velocity: velocity });
+    }
+
+    function heldNotes()
+    {
+        return node.voices.map(v => v.noteNo);
+    }
+
+    noteOn(60, 100);
+    noteOn(64, 100);
+    assert (treeEq(heldNotes(), [60, 64]));
+
+    // The gates go to zero for one sample before going up
+    function gates()
+    {
+        let outVals = node.update();
+        return [outVals[1], outVals[5]];
+    }
+
+    assert (treeEq(gates(), [0, 0]));
+    assert (treeEq(gates(), [1, 1]));
+
+    // The oldest note gets stolen by default
+    noteOn(67, 100);
+    assert (treeEq(heldNotes(), [67, 64]));
+
+    m.update(new model.SetStealMode(midiIn, 'highest'));
+    graph.parseMsg({ type: 'SET_STATE', nodeId: midiIn, state: m.getNodeState(midiIn) });
+    noteOn(55, 100);
+    assert (treeEq(heldNotes(), [55, 64]));
+
+    m.update(new model.SetStealMode(midiIn, 'lowest'));
+    graph.parseMsg({ type: 'SET_STATE', nodeId: midiIn, state: m.getNodeState(midiIn) });
+    noteOn(72, 100);
+    assert (treeEq(heldNotes(), [72, 64]));
+
+    // Releasing a note frees its voice
+    noteOn(64, 0);
+    assert (treeEq(heldNotes(), [72, null]));
+    noteOn(48, 100);
+    assert (treeEq(heldNotes(), [72, 48]));
+
+    // Older projects have a single voice
+    let data = JSON.parse(m.serialize());
+    delete data.nodes[midiIn].numVoices;
+    delete data.nodes[midiIn].stealMode;
+    data.nodes[midiIn].outNames = ['freq', 'gate'];
+    data.nodes[out].ins = [null, null];
+    m.deserialize(JSON.stringify(data));
+    assert (m.state.nodes[midiIn].numVoices === 1);
+    assert (m.state.nodes[midiIn].outNames.length == 7);
+}
+
+// Test MIDI velocity, aftertouch and pitch bend
+{
+    var m = new model.Model();
+    m.new();
+    let midiIn = m.update(new model.CreateNode('MidiIn', 0, 0));
+    let out = m.update(new model.CreateNode('AudioOut', 30, 30));
+    m.update(new model.ConnectNodes(midiIn, 0, out, 0));
+
+    let graph = new AudioGraph(44100, msg => {});
+    graph.newUnit(compile(m.state));
+    let node = graph.nodes[midiIn];
+
+    graph.parseMsg({ type: 'NOTE_ON', nodeId: midiIn, noteNo: 69, velocity: 127 });
+    graph.parseMsg({ type: 'MIDI_EXPRESSION', nodeId: midiIn, control: 'aftertouch', value: 0.5, noteNo: 69 });
+    graph.parseMsg({ type: 'MIDI_EXPRESSION', nodeId: midiIn, control: 'mod', value: 0.25, noteNo: null });
+    node.update();
+
+    let [freq, gate, vel, at, press, bend, mod] = node.update();
+    assert (Math.abs(freq - 440) < 1e-9);
+    assert (gate == 1 && vel == 1 && at == 0.5 && press == 0 && bend == 0 && mod == 0.25);
+
+    // Bending up by the full range of two semitones
+    graph.parseMsg({ type: 'MIDI_EXPRESSION', nodeId: midiIn, control: 'bend', value: 1, noteNo: null });
+    [freq, gate, vel, at, press, bend, mod] = node.update();
+    assert (Math.abs(freq - 440 * Math.pow(2, 2/12)) < 1e-9);
+    assert (bend == 1);
+
+    assertThrows(() => new model.MidiExpression(midiIn, 'volume', 1));
+
+    // The bend range must be a number of semitones within limits
+    model.validateParams('MidiIn', { bendRange: model.MAX_BEND_RANGE });
+    assertThrows(() => model.validateParams('MidiIn', { bendRange: model.MAX_BEND_RANGE + 1 }));
+    assertThrows(() => model.validateParams('MidiIn', { bendRange: -1 }));
+    assertThrows(() => model.validateParams('MidiIn', { bendRange: Infinity }));
+}
+
+// Test sending MIDI notes on gate edges
+{
+    var m = new model.Model();
+    m.new();
+    let freq = m.update(new model.CreateNode('Const', 0, 0));
+    let gate = m.update(new model.CreateNode('Pulse', 0, 20));
+    let rate = m.update(new model.CreateNode('Const', 0, 40));
+    let midiOut = m.update(new model.CreateNode('MidiOut', 30, 30));
+    m.update(new model.SetParam(freq, 'value', 440));
+    m.update(new model.SetParam(rate, 'value', 100));
+    m.update(new model.SetParam(midiOut, 'chanNo', 3));
+    m.update(new model.SetParam(midiOut, 'deviceName', 'Synth'));
+    m.update(new model.ConnectNodes(freq, 0, midiOut, 0));
+    m.update(new model.ConnectNodes(rate, 0, gate, 0));
+    m.update(new model.ConnectNodes(gate, 0, midiOut, 1));
+    assertThrows(() => model.validateParams('MidiOut', { chanNo: null }));
+
+    let msgs = [];
+    let graph = new AudioGraph(44100, msg => msgs.push(msg));
+    graph.newUnit(compile(m.state));
+
+    // Two cycles of the gate, 20ms
+    for (let i = 0; i < 7; ++i)
+        graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+
+    let notes = msgs.filter(msg => msg.type == 'NOTE_OUT');
+    assert (notes.length == 4);
+    assert (treeEq(notes.map(msg => msg.velocity), [127, 0, 127, 0]));
+    assert (notes.every(msg => msg.noteNo == 69 && msg.chanNo == 3 && msg.nodeId == midiOut));
+    assert (notes.every(msg => msg.deviceName == 'Synth'));
+    assertThrows(() => model.validateParams('MidiOut', { chanNo: 1, deviceName: 2 }));
+    assert (notes[1].time > notes[0].time && notes[2].time > notes[1].time);
+}
+
+// Test following an external MIDI clock
+{
+    var m = new model.Model();
+    m.new();
+    let clockIn = m.update(new model.CreateNode('MidiClockIn', 0, 0));
+    let seq = m.update(new model.CreateNode('GateSeq', 30, 0));
+    m.update(new model.ConnectNodes(clockIn, 0, seq, 0));
+
+    let msgs = [];
+    let graph = new AudioGraph(44100, msg => msgs.push(msg));
+    graph.newUnit(compile(m.state));
+
+    // Get the steps triggered while generating a few blocks
+    function genSteps()
+    {
+        msgs = [];
+        for (let i = 0; i < 4; ++i)
+            graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+        return msgs.filter(msg => msg.type == 'SET_CUR_STEP').map(msg => msg.stepIdx);
+    }
+
+    function clockMsg(event, songPos = null)
+    {
+        graph.parseMsg({ type: 'MIDI_CLOCK', nodeId: clockIn, event: event, songPos: songPos });
+    }
+
+    // No steps are triggered without clock ticks
+    assert (treeEq(genSteps(), []));
+    clockMsg('tick');
+    assert (treeEq(genSteps(), [0]));
+
+    // Ticks arriving in a burst each produce a pulse
+    for (let i = 0; i < music.CLOCK_PPS; ++i)
+        clockMsg('tick');
+    assert (treeEq(genSteps(), [1]));
+
+    // Ticks are ignored while stopped
+    clockMsg('stop');
+    clockMsg('tick');
+    assert (treeEq(genSteps(), []));
+
+    // Jump to the 6th 16th note
+    clockMsg('position', 5);
+    clockMsg('continue');
+    clockMsg('tick');
+    assert (treeEq(genSteps(), [5]));
+
+    clockMsg('start');
+    clockMsg('tick');
+    assert (treeEq(genSteps(), [0]));
+}
+
+// Test chaining sequencer patterns with the song arrangement
+{
+    var m = new model.Model();
+    m.new();
+    let clockIn = m.update(new model.CreateNode('MidiClockIn', 0, 0));
+    let seq = m.update(new model.CreateNode('GateSeq', 30, 0));
+    m.update(new model.ConnectNodes(clockIn, 0, seq, 0));
+
+    m.update(new model.SetNumBars(4));
+    m.update(new model.SetLaneCell(seq, 1, 1));
+    m.update(new model.SetLaneCell(seq, 3, 0));
+    m.update(new model.SetSongMode(true));
+    assert (treeEq(m.state.arrangement.lanes[seq], [null, 1, null, 0]));
+    assert (m.state.nodes[seq].patterns.length == 2);
+    assertThrows(() => m.update(new model.SetLaneCell(seq, 4, 0)));
+    assertThrows(() => new model.SetLaneCell(seq, 0, model.NUM_PATTERNS));
+
+    // The arrangement is saved with the project
+    m.deserialize(m.serialize());
+    assert (m.state.arrangement.numBars == 4);
+
+    let msgs = [];
+    let graph = new AudioGraph(44100, msg => msgs.push(msg));
+    graph.newUnit(compile(m.state));
+
+    // Play the song for 5 bars, one tick per block, and record
+    // the step at which each pattern change happens
+    let numSteps = 0;
+    let patChanges = [];
+    for (let i = 0; i < 5 * 4 * music.CLOCK_PPQ; ++i)
+    {
+        msgs = [];
+        graph.parseMsg({ type: 'MIDI_CLOCK', nodeId: clockIn, event: 'tick', songPos: null });
+        graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+
+        for (let msg of msgs)
+        {
+            if (msg.type == 'SET_PATTERN')
+                patChanges.push([numSteps, msg.patIdx]);
+            if (msg.type == 'SET_CUR_STEP')
+                numSteps++;
+        }
+    }
+
+    assert (numSteps == 5 * 16);
+    assert (treeEq(patChanges, [[16, 1], [48, 0]]));
+
+    // Shortening the song drops the pattern changes past its end
+    m.update(new model.SetNumBars(2));
+    assert (treeEq(m.state.arrangement.lanes[seq], [null, 1]));
+
+    // Lanes follow sequencers that get grouped and ungrouped
+    m.update(new model.GroupNodes([seq]));
+    m.update(new model.UngroupNodes(String(m.nextFreeId - 1)));
+    assert (treeEq(m.state.arrangement.lanes[seq], [null, 1]));
+
+    // Lanes of deleted sequencers get removed, so that new
+    // sequencers don't inherit them after a reload
+    m.update(new model.DeleteNodes([seq]));
+    assert (!(seq in m.state.arrangement.lanes));
+    m.deserialize(m.serialize());
+    let newSeq = m.update(new model.CreateNode('GateSeq', 30, 0));
+    assert (newSeq == seq && !(newSeq in m.state.arrangement.lanes));
+
+    // Lanes must belong to existing sequencers
+    let data = JSON.parse(m.serialize());
+    data.arrangement.lanes[clockIn] = [0];
+    assertThrows(() => model.validateProject(data));
+    data.arrangement.lanes = { 1000: [0] };
+    assertThrows(() => model.validateProject(data));
+}
+
+// Test per-step velocity, trigger probability and ratchets
+{
+    var m = new model.Model();
+    m.new();
+    let clock = m.update(new model.CreateNode('Clock', 0, 0));
+    let seq = m.update(new model.CreateNode('MonoSeq', 30, 0));
+    let midiOut = m.update(new model.CreateNode('MidiOut', 60, 0));
+    m.update(new model.ConnectNodes(clock, 0, seq, 0));
+    m.update(new model.ConnectNodes(seq, 0, midiOut, 0));
+    m.update(new model.ConnectNodes(seq, 1, midiOut, 1));
+    m.update(new model.ConnectNodes(seq, 2, midiOut, 2));
+
+    m.update(new model.SetCell(seq, 0, 0, 0, { vel: 0.5, prob: 1, ratchets: 1 }));
+    m.update(new model.SetCell(seq, 0, 1, 0, { vel: 1, prob: 1, ratchets: 3 }));
+    for (let stepIdx = 2; stepIdx < 16; ++stepIdx)
+        m.update(new model.SetCell(seq, 0, stepIdx, 0, { vel: 1, prob: 0.5, ratchets: 1 }));
+
+    // Cells using the default values are stored as 1
+    m.update(new model.SetCell(seq, 0, 2, 1, { vel: 1, prob: 1, ratchets: 1 }));
+    let grid = m.state.nodes[seq].patterns[0];
+    assert (grid[2][0] === 0 && grid[2][1] === 1);
+    m.update(new model.SetCell(seq, 0, 2, 0, { vel: 1, prob: 0.5, ratchets: 1 }));
+    assertThrows(() => new model.SetCell(seq, 0, 0, 0, { vel: 1, prob: 1, ratchets: model.MAX_RATCHETS + 1 }));
+    assertThrows(() => new model.SetCell(seq, 0, 0, 0, { vel: 2, prob: 1, ratchets: 1 }));
+
+    // The cell values are saved with the project
+    m.deserialize(m.serialize());
+    assert (model.cellAttrs(m.state.nodes[seq].patterns[0][1][0]).ratchets == 3);
+
+    let msgs = [];
+    let graph = new AudioGraph(44100, msg => msgs.push(msg));
+    graph.newUnit(compile(m.state));
+
+    // The ratchet queue is allocated once, and reused at every step
+    let ratchetTimes = graph.nodes[seq].ratchetTimes;
+
+    // One bar at 120 BPM
+    for (let i = 0; i < 2 * 44100 / BLOCK_SIZE; ++i)
+        graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+
+    assert (graph.nodes[seq].ratchetTimes === ratchetTimes);
+
+    let notes = msgs.filter(msg => msg.type == 'NOTE_OUT' && msg.velocity > 0);
+    assert (notes[0].velocity == 64);
+    assert (notes.slice(1, 4).every(msg => msg.velocity == 127));
+
+    // The ratchets are evenly spaced over the 125ms step
+    let ratchetTime = (notes[3].time - notes[1].time) / 2;
+    assert (Math.abs(ratchetTime - 0.125 / 3) < 0.001);
+
+    // Some of the steps having a 50% probability don't play
+    let numRandom = notes.length - 4;
+    assert (numRandom > 0 && numRandom < 14);
+
+    // Gate sequencers have one velocity output per row, after the gates
+    let gateSeq = m.update(new model.CreateNode('GateSeq', 0, 30));
+    let adsr = m.update(new model.CreateNode('ADSR', 30, 30));
+    assert (treeEq(m.state.nodes[gateSeq].outNames.slice(3, 5), ['gate3', 'vel0']));
+    m.update(new model.ConnectNodes(gateSeq, 7, adsr, 1));
+    m.update(new model.SetNumRows(gateSeq, 6));
+    assert (treeEq(m.state.nodes[adsr].ins[1], [gateSeq, 9]));
+    m.update(new model.SetNumRows(gateSeq, 2));
+    assert (m.state.nodes[adsr].ins[1] === null);
+}
+
+// Test tied and accented MonoSeq steps
+{
+    var m = new model.Model();
+    m.new();
+    let seq = m.update(new model.CreateNode('MonoSeq', 0, 0));
+    let gateSeq = m.update(new model.CreateNode('GateSeq', 0, 30));
+    m.update(new model.SetCell(seq, 0, 0, 0, { vel: 1, prob: 1, ratchets: 1, accent: true, tie: true }));
+    m.update(new model.SetCell(seq, 0, 1, 2, { vel: 1, prob: 1, ratchets: 1, accent: false, tie: false }));
+    m.update(new model.ToggleCell(seq, 0, 2, 0));
+    assert (treeEq(m.state.nodes[seq].patterns[0][0][0], { vel: 1, prob: 1, ratchets: 1, accent: true, tie: true }));
+    assert (m.state.nodes[seq].patterns[0][1][2] === 1);
+    assertThrows(() => m.update(new model.SetCell(gateSeq, 0, 0, 0, { vel: 1, prob: 1, ratchets: 1, tie: true })));
+
+    // Projects with accents or ties on gate sequencer steps don't load
+    let data = JSON.parse(m.serialize());
+    data.nodes[gateSeq].patterns[0][0][0] = { vel: 1, prob: 1, ratchets: 1, accent: true };
+    assertThrows(() => model.validateProject(data));
+
+    let graph = new AudioGraph(44100, msg => {});
+    graph.newUnit(compile(m.state));
+    let node = graph.nodes[seq];
+    let freqs = [0, 1, 2].map(rowIdx => node.scale[rowIdx].getFreq());
+
+    // Drive the sequencer with a 20ms clock pulse, so that
+    // steps last 120ms, and notes last 50ms unless tied
+    let outs = [];
+    for (let i = 0; i < 0.36 * 44100; ++i)
+    {
+        let time = i / 44100;
+        let clock = (i % 882 < 441)? 1:-1;
+        outs.push(node.update(time, clock, 0.05).slice());
+    }
+    let outAt = time => outs[Math.round(time * 44100)];
+
+    // The tied note is held into the next step, and
+    // glides to its frequency without retriggering
+    assert (outs.slice(2, 0.17 * 44100).every(([freq, gate]) => gate == 1));
+    assert (treeEq(outAt(0.1), [freqs[0], 1, 1, 1]));
+    let [freq, gate, vel, accent] = outAt(0.15);
+    assert (freq > freqs[0] && freq < freqs[2] && accent == 0);
+    assert (treeEq(outAt(0.2), [freqs[2], 0, 1, 0]));
+
+    // The next note after that isn't tied
+    assert (treeEq(outAt(0.3), [freqs[0], 0, 1, 0]));
+}
+
+// Test swing on sequencers and clock dividers
+{
+    var m = new model.Model();
+    m.new();
+    let clock = m.update(new model.CreateNode('Clock', 0, 0));
+    let seq = m.update(new model.CreateNode('MonoSeq', 30, 0));
+    let midiOut = m.update(new model.CreateNode('MidiOut', 60, 0));
+    let clockDiv = m.update(new model.CreateNode('ClockDiv', 30, 30));
+    let clockOut = m.update(new model.CreateNode('ClockOut', 60, 30));
+    m.update(new model.ConnectNodes(clock, 0, seq, 0));
+    m.update(new model.ConnectNodes(seq, 0, midiOut, 0));
+    m.update(new model.ConnectNodes(seq, 1, midiOut, 1));
+    m.update(new model.ConnectNodes(clock, 0, clockDiv, 0));
+    m.update(new model.ConnectNodes(clockDiv, 0, clockOut, 0));
+    m.update(new model.SetParam(clockDiv, 'factor', 2));
+    for (let stepIdx = 0; stepIdx < 16; ++stepIdx)
+        m.update(new model.ToggleCell(seq, 0, stepIdx, 0));
+    assertThrows(() => model.validateParams('MonoSeq', { swing: model.MAX_SWING + 0.1 }));
+    assertThrows(() => model.validateParams('MonoSeq', { swing: '0.2' }));
+    assertThrows(() => model.validateParams('ClockDiv', { swing: NaN }));
+
+    let msgs = [];
+    let graph = new AudioGraph(44100, msg => msgs.push(msg));
+    graph.newUnit(compile(m.state));
+
+    // Swing is changed during playback, without recompiling
+    graph.parseMsg({ type: 'SET_PARAM', nodeId: seq, paramName: 'swing', value: 0.5 });
+    graph.parseMsg({ type: 'SET_PARAM', nodeId: clockDiv, paramName: 'swing', value: 0.5 });
+
+    // Half a bar at 120 BPM
+    for (let i = 0; i < 44100 / BLOCK_SIZE; ++i)
+        graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+
+    // The odd steps are delayed by half of a 125ms step
+    let notes = msgs.filter(msg => msg.type == 'NOTE_OUT' && msg.velocity > 0);
+    let stepTimes = notes.slice(1).map((msg, i) => msg.time - notes[i].time);
+    assert (stepTimes.length > 4);
+    for (let i = 0; i < stepTimes.length; ++i)
+        assert (Math.abs(stepTimes[i] - ((i % 2)? 0.0625:0.1875)) < 0.001);
+
+    // Every other divided clock pulse is delayed by half a pulse
+    let pulses = msgs.filter(msg => msg.type == 'CLOCK_PULSE');
+    let pulseTime = 2 * 60 / 120 / music.CLOCK_PPQ;
+    assert (pulses.length > 4);
+    for (let i = 1; i < pulses.length; ++i)
+    {
+        let interval = pulses[i].time - pulses[i-1].time;
+        assert (Math.abs(interval - ((i % 2)? 1.5:0.5) * pulseTime) < 0.001);
+    }
+
+    // Nodes inside of modules saved before swing existed get the default
+    m.update(new model.GroupNodes([clockDiv]));
+    let module = String(m.nextFreeId - 1);
+    let data = JSON.parse(m.serialize());
+    delete data.nodes[module].nodes[clockDiv].params.swing;
+    let m2 = new model.Model();
+    m2.deserialize(JSON.stringify(data));
+    assert (m2.state.nodes[module].nodes[clockDiv].params.swing === 0);
+}
+
+// Test step lengths and pattern lengths
+{
+    var m = new model.Model();
+    m.new();
+    let clockIn = m.update(new model.CreateNode('MidiClockIn', 0, 0));
+    let seq = m.update(new model.CreateNode('GateSeq', 30, 0));
+    m.update(new model.ConnectNodes(clockIn, 0, seq, 0));
+    let node = m.state.nodes[seq];
+    assert (treeEq(node.stepLens, [music.CLOCK_PPS]));
+
+    // Bars of quarter notes have 4 steps
+    m.update(new model.SetStepLen(seq, 0, model.STEP_LENS['1/4']));
+    m.update(new model.ShrinkPattern(seq));
+    assert (node.patterns[0].length == 12);
+    m.update(new model.ExtendPattern(seq));
+    assert (node.patterns[0].length == 16);
+
+    // 5 steps of 8th note triplets
+    m.update(new model.SetStepLen(seq, 0, model.STEP_LENS['1/8T']));
+    m.update(new model.SetPatternLength(seq, 0, 5));
+    assert (node.patterns[0].length == 5);
+    m.update(new model.SetPatternLength(seq, 0, 7));
+    assert (node.patterns[0].length == 7 && node.patterns[0][6].length == 4);
+    m.update(new model.SetPatternLength(seq, 0, 5));
+    assertThrows(() => new model.SetStepLen(seq, 0, 5));
+    assertThrows(() => new model.SetPatternLength(seq, 0, model.MAX_STEPS + 1));
+
+    // Patterns shorter than a bar shrink down to a single step,
+    // and copies never extend past the maximum pattern length
+    m.update(new model.ShrinkPattern(seq));
+    m.update(new model.ShrinkPattern(seq));
+    assert (node.patterns[0].length == 1);
+    m.update(new model.SetPatternLength(seq, 0, model.MAX_STEPS - 2));
+    m.update(new model.ExtendCopy(seq));
+    assert (node.patterns[0].length == model.MAX_STEPS);
+
+    // Projects saved before step lengths use 16th notes
+    let project = JSON.parse(m.serialize());
+    delete project.nodes[seq].stepLens;
+    m.deserialize(JSON.stringify(project));
+    assert (treeEq(m.state.nodes[seq].stepLens, [music.CLOCK_PPS]));
+    project.nodes[seq].stepLens = [5];
+    assertThrows(() => m.deserialize(JSON.stringify(project)));
+
+    m.update(new model.SetStepLen(seq, 0, model.STEP_LENS['1/8T']));
+    m.update(new model.SetPatternLength(seq, 0, 5));
+
+    let msgs = [];
+    let graph = new AudioGraph(44100, msg => msgs.push(msg));
+    graph.newUnit(compile(m.state));
+
+    // One bar, one tick per block
+    let steps = [];
+    for (let i = 0; i < 4 * music.CLOCK_PPQ; ++i)
+    {
+        msgs = [];
+        graph.parseMsg({ type: 'MIDI_CLOCK', nodeId: clockIn, event: 'tick', songPos: null });
+        graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+        steps.push(...msgs.filter(msg => msg.type == 'SET_CUR_STEP').map(msg => msg.stepIdx));
+    }
+
+    // There are 12 triplet steps per bar, looping over the 5 step pattern
+    assert (treeEq(steps, [0, 1, 2, 3, 4, 0, 1, 2, 3, 4, 0, 1]));
+
+    // Jumping to the 4th beat of the second bar lands on the 22nd
+    // step since the start of the song, which is the 2nd of the pattern
+    graph.parseMsg({ type: 'MIDI_CLOCK', nodeId: clockIn, event: 'position', songPos: 28 });
+    graph.parseMsg({ type: 'MIDI_CLOCK', nodeId: clockIn, event: 'continue', songPos: null });
+    msgs = [];
+    graph.parseMsg({ type: 'MIDI_CLOCK', nodeId: clockIn, event: 'tick', songPos: null });
+    graph.genBlock(new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE));
+    assert (treeEq(msgs.filter(msg => msg.type == 'SET_CUR_STEP').map(msg => msg.stepIdx), [1]));
+}
+
 // Try loading all of our example projects
 fs.readdirSync('examples').forEach(fileName =>
 {
@@ -100,9 +1092,135 @@ fs.readdirSync('examples').forEach(fileName =>
 
     // Test the compiler
     let unit = compile(m.state);
-    let genSample = new Function(
-        'time',
+    let genBlock = new Function(
         'nodes',
+        'time',
+        'sampleTime',
+        'numSamples',
+        'outL',
+        'outR',
         unit.src
     );
 });
+
+// Golden output tests
+// The first seconds of each example project are rendered and compared
+// against a fingerprint of the expected output, so that changes to the
+// DSP code that alter the sound don't go unnoticed. If the sound is
+// changed intentionally, the fingerprints can be regenerated with:
+// node tests.js --update-golden
+// Examples that are silent without MIDI input have no fingerprint,
+// and must remain silent.
+{
+    const GOLDEN_PATH = 'golden_output.json';
+    const GOLDEN_SECONDS = 2;
+    const WINDOW_SIZE = 4410;
+    const SAMPLE_RATE = 44100;
+
+    // Frequencies in Hz of the spectrum components compared, one per octave
+    const GOLDEN_FREQS = [110, 220, 440, 880, 1760, 3520, 7040, 14080];
+
+    // Compute the amplitude of a frequency component over
+    // a window of samples, using the Goertzel algorithm
+    function amplitude(samples, start, freq)
+    {
+        let coeff = 2 * Math.cos(2 * Math.PI * freq / SAMPLE_RATE);
+        let s1 = 0;
+        let s2 = 0;
+
+        for (let i = start; i < start + WINDOW_SIZE; ++i)
+        {
+            let s0 = samples[i] + coeff * s1 - s2;
+            s2 = s1;
+            s1 = s0;
+        }
+
+        let power = s1 * s1 + s2 * s2 - coeff * s1 * s2;
+        return 2 * Math.sqrt(Math.max(power, 0)) / WINDOW_SIZE;
+    }
+
+    // Compute the RMS level and the amplitude of a few frequency
+    // components of each channel over successive windows,
+    // or null if the output is silent
+    function fingerprint(project)
+    {
+        let numSamples = GOLDEN_SECONDS * SAMPLE_RATE;
+        let { left, right } = render.renderProject(project, numSamples, SAMPLE_RATE);
+
+        if (left.every(v => v == 0) && right.every(v => v == 0))
+            return null;
+
+        let windows = [];
+
+        for (let start = 0; start < numSamples; start += WINDOW_SIZE)
+        {
+            let window = [left, right].map(samples =>
+            {
+                let sum = 0;
+                for (let i = start; i < start + WINDOW_SIZE; ++i)
+                    sum += samples[i] * samples[i];
+
+                let values = [Math.sqrt(sum / WINDOW_SIZE)];
+                for (let freq of GOLDEN_FREQS)
+                    values.push(amplitude(samples, start, freq));
+
+                return values.map(v => Number(v.toFixed(6)));
+            });
+
+            windows.push(window);
+        }
+
+        return windows;
+    }
+
+    let updateGolden = process.argv.includes('--update-golden');
+    let golden = fs.existsSync(GOLDEN_PATH)? JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8')):{};
+
+    for (let fileName of fs.readdirSync('examples'))
+    {
+        let m = new model.Model();
+        m.deserialize(fs.readFileSync(path.join('examples', fileName), 'utf8'));
+
+        let windows = fingerprint(m.state);
+
+        if (updateGolden)
+        {
+            if (windows)
+                golden[fileName] = windows;
+            else
+                delete golden[fileName];
+            continue;
+        }
+
+        if (!(fileName in golden))
+        {
+            assert (windows === null, `no golden output for ${fileName}`);
+            continue;
+        }
+
+        assert (windows !== null, `output of ${fileName} is silent`);
+
+        for (let i = 0; i < windows.length; ++i)
+        {
+            for (let chan = 0; chan < 2; ++chan)
+            {
+                for (let j = 0; j < windows[i][chan].length; ++j)
+                {
+                    let diff = Math.abs(windows[i][chan][j] - golden[fileName][i][chan][j]);
+                    let time = (i * WINDOW_SIZE / SAMPLE_RATE).toFixed(1);
+                    assert (diff < 1e-4, `output of ${fileName} differs from golden output at ${time}s`);
+                }
+            }
+        }
+    }
+
+    if (updateGolden)
+    {
+        // One line per example project to keep diffs readable
+        let lines = Object.keys(golden).sort().map(
+            fileName => `${JSON.stringify(fileName)}: ${JSON.stringify(golden[fileName])}`
+        );
+        fs.writeFileSync(GOLDEN_PATH, '{\n' + lines.join(',\n') + '\n}\n');
+        console.log(`updated ${GOLDEN_PATH}`);
+    }
+}